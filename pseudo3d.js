@@ -1,11 +1,26 @@
 export { Camera } from "/src/core/camera.js";
+export { Collision } from "/src/core/collision.js";
+export { Engine } from "/src/core/engine.js";
 export { Entity } from "/src/core/entity.js";
+export { HeadlessScreen } from "/src/core/headlessScreen.js";
+export { ImageMap } from "/src/core/imageMap.js";
+export { Light } from "/src/core/light.js";
+export { Minimap } from "/src/core/minimap.js";
 export { Ray } from "/src/core/ray.js";
 export { Renderer } from "/src/core/renderer.js";
 export { Scene } from "/src/core/scene.js";
 export { Screen } from "/src/core/screen.js";
+export { Tiled } from "/src/core/tiled.js";
+export { FirstPersonController } from "/src/input/firstPersonController.js";
+export { Input } from "/src/input/input.js";
+export { TouchJoystick } from "/src/input/touchJoystick.js";
 export { Math } from "/src/math/math.js";
 export { Orientation } from "/src/math/orientation.js";
 export { Vector } from "/src/math/vector.js";
+export { AnimatedTexture } from "/src/resources/animatedTexture.js";
+export { AssetManager } from "/src/resources/assetManager.js";
 export { Color } from "/src/resources/color.js";
-export { Texture } from "/src/resources/texture.js";
\ No newline at end of file
+export { DirectionalSprite } from "/src/resources/directionalSprite.js";
+export { ProceduralTexture } from "/src/resources/proceduralTexture.js";
+export { Texture } from "/src/resources/texture.js";
+export { TextureRegion } from "/src/resources/textureRegion.js";
\ No newline at end of file
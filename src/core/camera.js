@@ -15,10 +15,14 @@ import {
 import {
 	Vector
 } from "/src/math/vector.js";
+import {
+	Screen
+} from "/src/core/screen.js";
 
 class Camera {
 	/*
-	recognized config attributes are position, direction, focalLength, pitch,
+	recognized config attributes are position (its optional z attribute is the
+	height of the camera, default to 0.5), direction, focalLength, pitch,
 	and a lighting settings object
 	*/
 	constructor(config) {
@@ -48,6 +52,13 @@ class Camera {
 			}
 		}
 
+		// check if we recieved a valid height
+		if (config.position !== undefined &&
+			config.position.z !== undefined &&
+			typeof config.position.z !== "number") {
+			throw new Error("Camera position z must be a number");
+		}
+
 		// check if we received a valid focal length
 		if (config.focalLength !== undefined &&
 			typeof config.focalLength !== "number") {
@@ -132,7 +143,8 @@ class Camera {
 		);
 
 		// set the height of the camera
-		this.orientation.position.z = 0.5;
+		this.orientation.position.z = position.z === undefined ?
+			0.5 : position.z;
 
 		// focal length of the camera
 		this.focalLength = config.focalLength || 1;
@@ -257,6 +269,157 @@ class Camera {
 
 		return this;
 	}
+
+	// moves the camera some distance along its direction (negative is back)
+	moveForward(distance) {
+		// check if distance recieved was valid
+		if (typeof distance !== "number") {
+			throw new Error(
+				"Camera.moveForward must recieve a distance that is a number"
+			);
+		}
+
+		let direction = this.orientation.direction;
+		let length = direction.getMag();
+
+		this.orientation.position.x += direction.x / length * distance;
+		this.orientation.position.y += direction.y / length * distance;
+
+		return this;
+	}
+
+	/*
+	moves the camera some distance along its plane, a positive distance moves
+	towards the right of the screen
+	*/
+	strafe(distance) {
+		// check if distance recieved was valid
+		if (typeof distance !== "number") {
+			throw new Error(
+				"Camera.strafe must recieve a distance that is a number"
+			);
+		}
+
+		let length = this.plane.getMag();
+
+		this.orientation.position.x += this.plane.x / length * distance;
+		this.orientation.position.y += this.plane.y / length * distance;
+
+		return this;
+	}
+
+	// sets the height (z position) of the camera
+	setHeight(height) {
+		// check if height recieved was valid
+		if (typeof height !== "number") {
+			throw new Error(
+				"Camera.setHeight must recieve a height that is a number"
+			);
+		}
+
+		this.orientation.position.z = height;
+
+		return this;
+	}
+
+	// moves the camera up (or down, if deltaZ is negative)
+	moveVertical(deltaZ) {
+		// check if delta recieved was valid
+		if (typeof deltaZ !== "number") {
+			throw new Error(
+				"Camera.moveVertical must recieve a deltaZ that is a number"
+			);
+		}
+
+		this.orientation.position.z += deltaZ;
+
+		return this;
+	}
+
+	/*
+	sets the focal length so the screen shows some horizontal field of view in
+	degrees. Rays are spread across the camera plane scaled by the aspect ratio
+	of the screen, so the same focal length is a wider view on a wider screen,
+	screen is the Screen the camera renders to
+	*/
+	setFieldOfView(degrees, screen) {
+		// check if the field of view recieved was valid
+		if (typeof degrees !== "number" || !(degrees > 0 && degrees < 180)) {
+			throw new Error(
+				"Camera.setFieldOfView must recieve a number of degrees in " +
+				"the range (0, 180)"
+			);
+		}
+
+		// check if the screen recieved was valid
+		if (!(screen instanceof Screen)) {
+			throw new Error(
+				"Camera.setFieldOfView must recieve a screen of type Screen"
+			);
+		}
+
+		/*
+		the edges of the screen are half of the plane (scaled by the aspect
+		ratio) away from the direction scaled by the focal length
+		*/
+		let angle = degrees * Math.PI / 180;
+		this.focalLength = screen.aspectRatio / 2 / Math.tan(angle / 2);
+
+		return this;
+	}
+
+	/*
+	turns the camera to face the point (x, y), z is optional. The pitch is in
+	pixels, so it is only set (to put the point at the center of the screen)
+	when both a z coordinate and the Screen the camera renders to are passed,
+	lookAt(x, y, z) turns the camera and leaves its pitch as it is
+	*/
+	lookAt(x, y, z, screen) {
+		// check if the coordinates recieved were valid
+		if (typeof x !== "number" || typeof y !== "number" ||
+			(z !== undefined && typeof z !== "number")) {
+			throw new Error(
+				"Camera.lookAt must recieve an x, y and optional z " +
+				"coordinate that are numbers"
+			);
+		}
+
+		// check if the screen recieved was valid
+		if (screen !== undefined && !(screen instanceof Screen)) {
+			throw new Error("Camera.lookAt screen must be of type Screen");
+		}
+
+		let position = this.orientation.position;
+		let deltaX = x - position.x;
+		let deltaY = y - position.y;
+		let distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+
+		// a point right above or below the camera has no direction to face
+		if (distance === 0) return this;
+
+		this.setRotation(Math.atan2(deltaY, deltaX));
+
+		/*
+		raise or lower the horizon by how far above or below the center of the
+		screen the point would be projected
+		*/
+		if (z !== undefined && screen !== undefined) {
+			this.pitch = Math.round(
+				(z - position.z) / distance * this.focalLength *
+				screen.renderHeight
+			);
+		}
+
+		return this;
+	}
+
+	// the angle of the direction vector in radians from the horizontal
+	get yaw() {
+		return Math.atan2(
+			this.orientation.direction.y,
+			this.orientation.direction.x
+		);
+	}
 }
 
 export {
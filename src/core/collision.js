@@ -0,0 +1,623 @@
+/*
+The Collision namespace moves circles (a position plus a radius) through the
+world map of a scene without letting them pass through walls, sliding them
+along the walls they run into. Walls respect the height and elevation of their
+cellInfo, so walls low enough can be stepped over and elevated walls can be
+walked under. Per cell floor and ceiling heights (see worldMap.floorHeight and
+worldMap.ceilingHeight) work the same way, steps up to a floor that is too
+high, or into a cell whose ceiling is too low, are blocked. Bodies that walk
+into a portal face (see cellInfo.portals) come out of the other side of the
+portal. It also pushes overlapping entities apart.
+
+Movement works on body objects, recognized attributes are:
+position, an object with x and y attributes that is moved (modified in place),
+radius, the radius of the circle (default to 0.2),
+bottom, the z coordinate of the bottom of the body (default to position.z, or
+0),
+height, how tall the body is (default to 0.5),
+stepHeight, how tall a wall can be (above the bottom of the body) and still be
+stepped over (default to 0.25)
+*/
+
+import {
+	Camera
+} from "/src/core/camera.js";
+import {
+	Entity
+} from "/src/core/entity.js";
+import {
+	Scene
+} from "/src/core/scene.js";
+
+let Collision = {};
+
+/*
+moves a body by (deltaX, deltaY), stopping it at walls and sliding it along
+them. Returns an object with the attributes collided (true if a wall was hit),
+ground, the height of the highest surface under the body (the floor height of
+the cell the body is in, walls and steps that were stepped onto raise it),
+teleported (true if the body walked through a portal) and rotation, how many
+radians the portals the body walked through turned it (0 if it didn't go
+through any)
+*/
+Collision.move = function(scene, body, deltaX, deltaY) {
+	// check if the scene received is the valid type
+	if (!(scene instanceof Scene)) {
+		throw new Error(
+			"Collision.move must recieve a scene of type Pseudo3d.Scene"
+		);
+	}
+
+	if (typeof deltaX !== "number" || typeof deltaY !== "number") {
+		throw new Error(
+			"Collision.move must recieve a deltaX and deltaY that are numbers"
+		);
+	}
+
+	body = checkBody(body);
+
+	/*
+	move in steps smaller than the radius, so fast bodies can't skip over a
+	wall in a single step
+	*/
+	let distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+	let stepCount = Math.max(
+		Math.ceil(distance / Math.max(body.radius * 0.5, minStepSize)),
+		1
+	);
+
+	let stepX = deltaX / stepCount;
+	let stepY = deltaY / stepCount;
+
+	let collided = false;
+	let teleported = false;
+	let rotation = 0;
+	for (let i = 0; i < stepCount; i++) {
+		let previousX = body.position.x;
+		let previousY = body.position.y;
+
+		body.position.x += stepX;
+		body.position.y += stepY;
+
+		let portal = passPortal(scene, body, previousX, previousY);
+
+		// keep moving in the direction the portal turned the body to
+		if (portal !== undefined) {
+			let oldStepX = stepX;
+			stepX = stepX * portal.cos - stepY * portal.sin;
+			stepY = oldStepX * portal.sin + stepY * portal.cos;
+			teleported = true;
+			rotation += portal.rotation;
+		}
+
+		if (resolveWalls(scene, body)) collided = true;
+	}
+
+	return {
+		collided: collided,
+		ground: getGround(scene, body),
+		teleported: teleported,
+		rotation: rotation
+	};
+};
+
+/*
+moves a camera by (deltaX, deltaY) with collision, config is optional and
+holds the radius (default to 0.2), eyeHeight (how far the camera is above the
+bottom of its body, default to 0.5) and stepHeight (default to 0.25) of the
+camera. Portals the camera walks through turn it as well. Returns the same
+object Collision.move does, a camera that teleported shouldn't be interpolated
+from where it was (see Engine.resetInterpolation)
+*/
+Collision.moveCamera = function(scene, camera, deltaX, deltaY, config) {
+	// check if the camera received is the valid type
+	if (!(camera instanceof Camera)) {
+		throw new Error(
+			"Collision.moveCamera must recieve a camera of type " +
+			"Pseudo3d.Camera"
+		);
+	}
+
+	config = config || {};
+
+	let eyeHeight = config.eyeHeight === undefined ? 0.5 : config.eyeHeight;
+	if (typeof eyeHeight !== "number" || eyeHeight < 0) {
+		throw new Error(
+			"Collision.moveCamera eyeHeight must be a positive number"
+		);
+	}
+
+	let position = camera.orientation.position;
+
+	let result = Collision.move(scene, {
+		position: position,
+		radius: config.radius,
+		bottom: position.z - eyeHeight,
+		height: eyeHeight,
+		stepHeight: config.stepHeight
+	}, deltaX, deltaY);
+
+	if (result.rotation !== 0) camera.rotate(result.rotation);
+
+	return result;
+};
+
+/*
+moves an entity by (deltaX, deltaY) with collision, the body of the entity is
+a circle as wide as the entity (size.x) and as tall as it (size.y), config is
+optional and holds the stepHeight (default to 0.25) of the entity. Portals the
+entity walks through turn its direction as well. Returns the same object
+Collision.move does, an entity that teleported shouldn't be interpolated from
+where it was (see Engine.resetInterpolation)
+*/
+Collision.moveEntity = function(scene, entity, deltaX, deltaY, config) {
+	// check if the entity received is the valid type
+	if (!(entity instanceof Entity)) {
+		throw new Error(
+			"Collision.moveEntity must recieve an entity of type " +
+			"Pseudo3d.Entity"
+		);
+	}
+
+	config = config || {};
+
+	let result = Collision.move(scene, {
+		position: entity.orientation.position,
+		radius: entity.size.x / 2,
+		bottom: entity.orientation.position.z,
+		height: entity.size.y,
+		stepHeight: config.stepHeight
+	}, deltaX, deltaY);
+
+	if (result.rotation !== 0) {
+		entity.orientation.direction.rotate(result.rotation);
+	}
+
+	return result;
+};
+
+/*
+pushes apart every pair of overlapping entities (entities overlap when their
+circles overlap and they share some height), each entity of a pair is pushed
+half of the way, then the entities are kept out of the walls. entities is
+optional and defaults to every entity of the scene. Returns true if any
+entities overlapped
+*/
+Collision.resolveEntities = function(scene, entities) {
+	// check if the scene received is the valid type
+	if (!(scene instanceof Scene)) {
+		throw new Error(
+			"Collision.resolveEntities must recieve a scene of type " +
+			"Pseudo3d.Scene"
+		);
+	}
+
+	entities = entities || scene.gameObject.entities;
+
+	if (!Array.isArray(entities) ||
+		!entities.every(entity => entity instanceof Entity)) {
+		throw new Error(
+			"Collision.resolveEntities must recieve an array of entities"
+		);
+	}
+
+	let bodies = entities.map(entity => checkBody({
+		position: entity.orientation.position,
+		radius: entity.size.x / 2,
+		bottom: entity.orientation.position.z,
+		height: entity.size.y
+	}));
+
+	let overlapped = false;
+	for (let i = 0; i < bodies.length; i++) {
+		for (let j = i + 1; j < bodies.length; j++) {
+			if (separate(bodies[i], bodies[j])) overlapped = true;
+		}
+	}
+
+	// pushing entities apart could have pushed some into walls
+	if (overlapped) {
+		for (let i = 0; i < bodies.length; i++) {
+			resolveWalls(scene, bodies[i]);
+		}
+	}
+
+	return overlapped;
+};
+
+export {
+	Collision
+};
+
+// the largest step a body with no radius moves in
+const minStepSize = 0.05;
+
+// how far past a wall bodies are pushed, so they don't stay touching it
+const epsilon = 1e-6;
+
+// how many times walls are resolved per step (corners can need a few)
+const resolvePasses = 4;
+
+// checks the attributes of a body, returns a copy with the defaults filled in
+function checkBody(body) {
+	if (typeof body !== "object" || body === null ||
+		typeof body.position !== "object" ||
+		typeof body.position.x !== "number" ||
+		typeof body.position.y !== "number") {
+		throw new Error(
+			"Collision body must be an object with a position that has x " +
+			"and y attributes that are numbers"
+		);
+	}
+
+	let numberAttributes = ["radius", "height", "stepHeight"];
+	for (let i = 0; i < numberAttributes.length; i++) {
+		let value = body[numberAttributes[i]];
+		if (value !== undefined && (typeof value !== "number" || value < 0)) {
+			throw new Error(
+				"Collision body " + numberAttributes[i] +
+				" must be a positive number"
+			);
+		}
+	}
+
+	if (body.bottom !== undefined && typeof body.bottom !== "number") {
+		throw new Error("Collision body bottom must be a number");
+	}
+
+	return {
+		position: body.position,
+		radius: body.radius === undefined ? 0.2 : body.radius,
+		bottom: body.bottom === undefined ?
+			body.position.z || 0 : body.bottom,
+		height: body.height === undefined ? 0.5 : body.height,
+		stepHeight: body.stepHeight === undefined ? 0.25 : body.stepHeight
+	};
+}
+
+/*
+gets the vertical extent of the wall in a cell, cells outside of the map are
+solid walls of infinite height. Returns undefined for empty cells
+*/
+function getWall(scene, cellX, cellY) {
+	let worldMap = scene.worldMap;
+
+	if (cellX < 0 || cellX >= worldMap.width ||
+		cellY < 0 || cellY >= worldMap.height) {
+		return {
+			bottom: -Infinity,
+			top: Infinity
+		};
+	}
+
+	let cell = worldMap.data[cellX + cellY * worldMap.width];
+	if (cell === 0) return undefined;
+
+	// the renderer sees through cells without cellInfo, so they are empty
+	let cellInfo = worldMap.cellInfo[cell];
+	if (cellInfo === undefined) return undefined;
+
+	return {
+		bottom: cellInfo.elevation,
+		top: cellInfo.elevation + cellInfo.height,
+		thinWall: cellInfo.thinWall
+	};
+}
+
+// checks if a wall is in the way of a body (it can't be stepped over or under)
+function isBlocking(wall, body) {
+	return wall.top > body.bottom + body.stepHeight &&
+		wall.bottom < body.bottom + body.height;
+}
+
+/*
+checks if the floor of a cell is too high to step onto, or its ceiling too low
+for a body to fit under (only when the world map has per cell heights)
+*/
+function isBlockingStep(scene, cellX, cellY, body) {
+	let worldMap = scene.worldMap;
+
+	if (worldMap.floorHeight !== undefined &&
+		scene.getFloorHeight(cellX, cellY) > body.bottom + body.stepHeight) {
+		return true;
+	}
+
+	return worldMap.ceilingHeight !== undefined &&
+		scene.getCeilingHeight(cellX, cellY) < body.bottom + body.height;
+}
+
+/*
+pushes a body out of every wall it overlaps, pushing only along the normal of
+the wall lets the body slide along it. Returns true if the body overlapped a
+wall
+*/
+function resolveWalls(scene, body) {
+	let collided = false;
+
+	for (let pass = 0; pass < resolvePasses; pass++) {
+		let pushed = false;
+
+		// the cells the circle could be touching
+		let startX = Math.floor(body.position.x - body.radius);
+		let endX = Math.floor(body.position.x + body.radius);
+		let startY = Math.floor(body.position.y - body.radius);
+		let endY = Math.floor(body.position.y + body.radius);
+
+		for (let cellY = startY; cellY <= endY; cellY++) {
+			for (let cellX = startX; cellX <= endX; cellX++) {
+				let wall = getWall(scene, cellX, cellY);
+
+				let hit = false;
+				if (wall !== undefined && isBlocking(wall, body)) {
+					let position = body.position;
+
+					// bodies can walk right up to (and into) portals
+					if (wall.thinWall !== undefined) {
+						hit = pushOutOfThinWall(
+							body,
+							wall.thinWall,
+							cellX,
+							cellY
+						);
+					} else if (!isFacingPortal(scene, cellX, cellY, position)) {
+						hit = pushOutOfCell(body, cellX, cellY);
+					}
+				} else if (isBlockingStep(scene, cellX, cellY, body)) {
+					hit = pushOutOfCell(body, cellX, cellY);
+				}
+
+				if (hit) pushed = true;
+			}
+		}
+
+		if (!pushed) break;
+		collided = true;
+	}
+
+	return collided;
+}
+
+/*
+checks if a position is in front of a portal face of a cell (beside one side
+of the cell, within the length of that side)
+*/
+function isFacingPortal(scene, cellX, cellY, position) {
+	let face;
+	if (position.y >= cellY && position.y <= cellY + 1) {
+		if (position.x < cellX) face = "east";
+		if (position.x > cellX + 1) face = "west";
+	} else if (position.x >= cellX && position.x <= cellX + 1) {
+		if (position.y < cellY) face = "south";
+		if (position.y > cellY + 1) face = "north";
+	}
+
+	return face !== undefined &&
+		scene.getPortal(cellX, cellY, face) !== undefined;
+}
+
+/*
+moves a body whose center walked into a portal face this step (from the
+previous position) to the other side of the portal. Returns the portal (see
+Scene.getPortal), or undefined if the body didn't walk into one
+*/
+function passPortal(scene, body, previousX, previousY) {
+	let position = body.position;
+	let cellX = Math.floor(position.x);
+	let cellY = Math.floor(position.y);
+	let previousCellX = Math.floor(previousX);
+	let previousCellY = Math.floor(previousY);
+
+	if (cellX === previousCellX && cellY === previousCellY) return undefined;
+
+	// walls the body could step over (or under) aren't walked into
+	let wall = getWall(scene, cellX, cellY);
+	if (wall === undefined || wall.thinWall !== undefined ||
+		!isBlocking(wall, body)) {
+		return undefined;
+	}
+
+	// faces are named after the direction they are crossed in
+	let face;
+	if (cellX !== previousCellX) {
+		face = cellX > previousCellX ? "east" : "west";
+	} else {
+		face = cellY > previousCellY ? "south" : "north";
+	}
+
+	let portal = scene.getPortal(cellX, cellY, face);
+	if (portal === undefined) return undefined;
+
+	let dx = position.x - portal.fromX;
+	let dy = position.y - portal.fromY;
+	position.x = portal.toX + dx * portal.cos - dy * portal.sin;
+	position.y = portal.toY + dx * portal.sin + dy * portal.cos;
+
+	return portal;
+}
+
+// pushes a circle out of a solid cell, returns true if it overlapped the cell
+function pushOutOfCell(body, cellX, cellY) {
+	let position = body.position;
+
+	// the closest point of the cell to the center of the circle
+	let closestX = Math.min(Math.max(position.x, cellX), cellX + 1);
+	let closestY = Math.min(Math.max(position.y, cellY), cellY + 1);
+
+	let dx = position.x - closestX;
+	let dy = position.y - closestY;
+	let distanceSqr = dx * dx + dy * dy;
+
+	if (distanceSqr >= body.radius * body.radius && distanceSqr !== 0) {
+		return false;
+	}
+
+	// the center is inside of the cell, push it out through the closest edge
+	if (distanceSqr === 0) {
+		let edges = [
+			[position.x - cellX, -1, 0],
+			[cellX + 1 - position.x, 1, 0],
+			[position.y - cellY, 0, -1],
+			[cellY + 1 - position.y, 0, 1]
+		];
+		edges.sort((a, b) => a[0] - b[0]);
+
+		let push = edges[0][0] + body.radius + epsilon;
+		position.x += edges[0][1] * push;
+		position.y += edges[0][2] * push;
+
+		return true;
+	}
+
+	// push the circle along the normal until it only touches the cell
+	let distance = Math.sqrt(distanceSqr);
+	let push = body.radius - distance + epsilon;
+	position.x += dx / distance * push;
+	position.y += dy / distance * push;
+
+	return true;
+}
+
+/*
+pushes a circle out of the closed part of a thin wall, returns true if it
+overlapped the thin wall
+*/
+function pushOutOfThinWall(body, thinWall, cellX, cellY) {
+	// a fully open thin wall has nothing left to hit
+	if (thinWall.open >= 1) return false;
+
+	let position = body.position;
+
+	/*
+	the closed part of the thin wall is a segment, "x" thin walls have a
+	constant y coordinate and "y" thin walls a constant x coordinate
+	*/
+	let startX;
+	let startY;
+	let endX;
+	let endY;
+	if (thinWall.axis === "x") {
+		startX = cellX + thinWall.open;
+		endX = cellX + 1;
+		startY = endY = cellY + thinWall.offset;
+	} else {
+		startY = cellY + thinWall.open;
+		endY = cellY + 1;
+		startX = endX = cellX + thinWall.offset;
+	}
+
+	// the closest point of the segment to the center of the circle
+	let closestX = Math.min(Math.max(position.x, startX), endX);
+	let closestY = Math.min(Math.max(position.y, startY), endY);
+
+	let dx = position.x - closestX;
+	let dy = position.y - closestY;
+	let distanceSqr = dx * dx + dy * dy;
+
+	if (distanceSqr >= body.radius * body.radius) return false;
+
+	// a center exactly on the segment gets pushed out of the cell's side
+	if (distanceSqr === 0) {
+		if (thinWall.axis === "x") {
+			dy = position.y < cellY + 0.5 ? -1 : 1;
+		} else {
+			dx = position.x < cellX + 0.5 ? -1 : 1;
+		}
+		position.x += dx * (body.radius + epsilon);
+		position.y += dy * (body.radius + epsilon);
+
+		return true;
+	}
+
+	let distance = Math.sqrt(distanceSqr);
+	let push = body.radius - distance + epsilon;
+	position.x += dx / distance * push;
+	position.y += dy / distance * push;
+
+	return true;
+}
+
+/*
+gets the height of the highest surface under a body, starting at the floor of
+the cell the body is in, walls and floors that were low enough to step onto
+count as ground
+*/
+function getGround(scene, body) {
+	let position = body.position;
+	let ground = scene.getFloorHeight(
+		Math.floor(position.x),
+		Math.floor(position.y)
+	);
+
+	let startX = Math.floor(body.position.x - body.radius);
+	let endX = Math.floor(body.position.x + body.radius);
+	let startY = Math.floor(body.position.y - body.radius);
+	let endY = Math.floor(body.position.y + body.radius);
+
+	for (let cellY = startY; cellY <= endY; cellY++) {
+		for (let cellX = startX; cellX <= endX; cellX++) {
+			// only count cells the circle actually overlaps
+			let closestX = Math.min(Math.max(position.x, cellX), cellX + 1);
+			let closestY = Math.min(Math.max(position.y, cellY), cellY + 1);
+			let dx = position.x - closestX;
+			let dy = position.y - closestY;
+			if (dx * dx + dy * dy >= body.radius * body.radius &&
+				(dx !== 0 || dy !== 0)) {
+				continue;
+			}
+
+			let stepTop = body.bottom + body.stepHeight;
+
+			// the floor of the cell, if it is low enough to step onto
+			let floor = scene.getFloorHeight(cellX, cellY);
+			if (floor <= stepTop) ground = Math.max(ground, floor);
+
+			let wall = getWall(scene, cellX, cellY);
+
+			// thin walls are too thin to stand on
+			if (wall === undefined || wall.thinWall !== undefined ||
+				wall.top > stepTop) {
+				continue;
+			}
+
+			ground = Math.max(ground, wall.top);
+		}
+	}
+
+	return ground;
+}
+
+/*
+pushes two overlapping bodies apart, each body moves half of the way. Returns
+true if the bodies overlapped
+*/
+function separate(a, b) {
+	// bodies that don't share any height can't overlap
+	if (a.bottom >= b.bottom + b.height || b.bottom >= a.bottom + a.height) {
+		return false;
+	}
+
+	let dx = b.position.x - a.position.x;
+	let dy = b.position.y - a.position.y;
+	let distanceSqr = dx * dx + dy * dy;
+	let minDistance = a.radius + b.radius;
+
+	if (distanceSqr >= minDistance * minDistance) return false;
+
+	// bodies at the same position are pushed apart along the x axis
+	let distance = Math.sqrt(distanceSqr);
+	if (distance === 0) {
+		let push = minDistance / 2;
+		a.position.x -= push;
+		b.position.x += push;
+
+		return true;
+	}
+
+	let push = (minDistance - distance) / 2;
+	a.position.x -= dx / distance * push;
+	a.position.y -= dy / distance * push;
+	b.position.x += dx / distance * push;
+	b.position.y += dy / distance * push;
+
+	return true;
+}
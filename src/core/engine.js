@@ -0,0 +1,514 @@
+/*
+The engine runs the game loop of a screen, scene and camera. The game is
+updated with a fixed timestep (so it plays the same at any frame rate), and
+every frame is rendered between the last two updates (the camera and entities
+are interpolated), so movement looks smooth even when updates and frames don't
+line up. It also measures how long updating and each rendering pass takes.
+*/
+
+import {
+	Screen
+} from "/src/core/screen.js";
+import {
+	Scene
+} from "/src/core/scene.js";
+import {
+	Camera
+} from "/src/core/camera.js";
+import {
+	Renderer
+} from "/src/core/renderer.js";
+import {
+	Entity
+} from "/src/core/entity.js";
+
+class Engine {
+	/*
+	Constructor takes a config object argument, recognized attributes are:
+	screen, scene, camera (all required), update, render, timestep, maxSteps,
+	interpolate and sampleCount.
+	update is a function called every fixed update with the timestep (in
+	seconds) and the engine, this is where the game moves things.
+	render is a function called after every frame is rendered with the
+	engine (for drawing on top of the frame).
+	timestep is the time in seconds between fixed updates (default to 1 / 60).
+	maxSteps is the most fixed updates run in one frame, so a slow frame
+	doesn't make the next one even slower (default to 5).
+	interpolate renders the camera and entities between updates (default to
+	true).
+	sampleCount is the amount of frames the statistics are averaged over
+	(default to 60).
+	*/
+	constructor(config) {
+		// check if we recieved a config object
+		if (typeof config !== "object") {
+			throw new Error(
+				"Engine constructor must recieve a config object"
+			);
+		}
+
+		// check if the screen, scene and camera are valid
+		if (!(config.screen instanceof Screen)) {
+			throw new Error("Engine screen must be of type Screen");
+		}
+
+		if (!(config.scene instanceof Scene)) {
+			throw new Error("Engine scene must be of type Scene");
+		}
+
+		if (!(config.camera instanceof Camera)) {
+			throw new Error("Engine camera must be of type Camera");
+		}
+
+		// check if the callbacks are valid
+		let callbacks = ["update", "render"];
+		for (let i = 0; i < callbacks.length; i++) {
+			let callback = config[callbacks[i]];
+			if (callback !== undefined && typeof callback !== "function") {
+				throw new Error(
+					"Engine " + callbacks[i] + " must be a function"
+				);
+			}
+		}
+
+		// check if the timestep is valid
+		if (config.timestep !== undefined &&
+			(typeof config.timestep !== "number" || !(config.timestep > 0))) {
+			throw new Error("Engine timestep must be a number greater than 0");
+		}
+
+		// check if the integer attributes are valid
+		let integerAttributes = ["maxSteps", "sampleCount"];
+		for (let i = 0; i < integerAttributes.length; i++) {
+			let value = config[integerAttributes[i]];
+			if (value !== undefined &&
+				(!Number.isInteger(value) || value <= 0)) {
+				throw new Error(
+					"Engine " + integerAttributes[i] +
+					" must be an integer greater than 0"
+				);
+			}
+		}
+
+		this.screen = config.screen;
+		this.scene = config.scene;
+		this.camera = config.camera;
+
+		this.onUpdate = config.update;
+		this.onRender = config.render;
+
+		this.timestep = config.timestep || 1 / 60;
+		this.maxSteps = config.maxSteps || 5;
+		this.interpolate = config.interpolate === undefined ?
+			true : !!config.interpolate;
+		this.sampleCount = config.sampleCount || 60;
+
+		// the simulated time in seconds (advances by timestep every update)
+		this.time = 0;
+
+		// time that has passed but hasn't been simulated yet
+		this.accumulator = 0;
+
+		// set true while the loop is running
+		this.isRunning = false;
+
+		// the time of the last frame (from requestAnimationFrame)
+		this.lastFrameTime = undefined;
+
+		// the id of the requested animation frame
+		this.frameRequest = undefined;
+
+		// when the statistics were last recorded (to measure frame times)
+		this.lastStatsTime = undefined;
+
+		/*
+		the camera and entities as of the update before the last one, frames
+		are rendered between these and the current state
+		*/
+		this.previousCamera = undefined;
+		this.previousEntities = new Map();
+
+		/*
+		averaged statistics of the last sampleCount frames, times are in
+		milliseconds
+		*/
+		this.stats = {
+			fps: 0,
+			frameTime: 0,
+			updateTime: 0,
+			renderTime: 0,
+			passes: {}
+		};
+		for (let i = 0; i < Renderer.passes.length; i++) {
+			this.stats.passes[Renderer.passes[i]] = 0;
+		}
+
+		// the recorded values of every statistic, oldest first
+		this.samples = {
+			frameTime: [],
+			updateTime: [],
+			renderTime: []
+		};
+		for (let i = 0; i < Renderer.passes.length; i++) {
+			this.samples[Renderer.passes[i]] = [];
+		}
+
+		// the frame callback is passed to requestAnimationFrame
+		this.frame = this.frame.bind(this);
+	}
+
+	// starts (or resumes) the game loop
+	start() {
+		if (this.isRunning) return this;
+
+		this.isRunning = true;
+
+		// the time spent paused shouldn't be simulated (or measured)
+		this.lastFrameTime = undefined;
+		this.lastStatsTime = undefined;
+
+		this.frameRequest = requestAnimationFrame(this.frame);
+
+		return this;
+	}
+
+	// pauses the game loop, nothing is updated or rendered until resumed
+	pause() {
+		if (!this.isRunning) return this;
+
+		this.isRunning = false;
+		cancelAnimationFrame(this.frameRequest);
+		this.frameRequest = undefined;
+
+		return this;
+	}
+
+	// resumes a paused game loop
+	resume() {
+		return this.start();
+	}
+
+	/*
+	runs a single fixed update and renders it, used to advance a paused game
+	one step at a time
+	*/
+	step() {
+		let updateStart = performance.now();
+		this.update();
+		let updateTime = performance.now() - updateStart;
+
+		/*
+		the frame shows exactly the state after the update (a full timestep
+		past the previous update), then nothing is left to catch up on
+		*/
+		this.accumulator = this.timestep;
+
+		// the time between steps isn't a frame time
+		this.lastStatsTime = undefined;
+		this.render(updateTime);
+
+		this.accumulator = 0;
+
+		return this;
+	}
+
+	/*
+	the body of the game loop, time is the time in milliseconds passed by
+	requestAnimationFrame
+	*/
+	frame(time) {
+		if (!this.isRunning) return;
+
+		this.frameRequest = requestAnimationFrame(this.frame);
+
+		// the first frame after starting has nothing to catch up on
+		let deltaTime = this.lastFrameTime === undefined ?
+			0 : (time - this.lastFrameTime) / 1000;
+		this.lastFrameTime = time;
+
+		this.advance(deltaTime);
+	}
+
+	/*
+	advances the game by deltaTime seconds, running as many fixed updates as
+	fit, then renders a frame. frame calls this, but it can also be called to
+	drive the engine without requestAnimationFrame
+	*/
+	advance(deltaTime) {
+		if (typeof deltaTime !== "number" || deltaTime < 0) {
+			throw new Error(
+				"Engine.advance must recieve a deltaTime that is a positive " +
+				"number"
+			);
+		}
+
+		this.accumulator += deltaTime;
+
+		let updateStart = performance.now();
+
+		let steps = 0;
+		while (this.accumulator >= this.timestep && steps < this.maxSteps) {
+			this.update();
+			this.accumulator -= this.timestep;
+			steps++;
+		}
+
+		// drop the time that couldn't be caught up with
+		if (steps === this.maxSteps) {
+			this.accumulator = Math.min(this.accumulator, this.timestep);
+		}
+
+		this.render(performance.now() - updateStart);
+	}
+
+	// runs a single fixed update
+	update() {
+		// remember where everything was before the update
+		this.saveState();
+
+		this.scene.update(this.timestep);
+
+		if (this.onUpdate !== undefined) {
+			this.onUpdate(this.timestep, this);
+		}
+
+		this.time += this.timestep;
+	}
+
+	/*
+	renders a frame between the last two updates, updateTime is how long the
+	updates of this frame took in milliseconds (for the statistics)
+	*/
+	render(updateTime) {
+		let renderStart = performance.now();
+
+		// how far the frame is between the last update and the next one
+		let alpha = this.accumulator / this.timestep;
+
+		/*
+		move the camera and entities to where they are at this frame (a frame
+		a full timestep after the last update already shows its state)
+		*/
+		let restore = this.interpolate && this.previousCamera !== undefined &&
+			alpha < 1 ? this.interpolateState(alpha) : undefined;
+
+		let timings = {};
+
+		this.screen.clear();
+		Renderer.render(
+			this.screen,
+			this.scene,
+			this.camera,
+			this.time - this.timestep * (1 - alpha),
+			timings
+		);
+		this.screen.update();
+
+		// put the camera and entities back where the updates left them
+		if (restore !== undefined) restore();
+
+		if (this.onRender !== undefined) this.onRender(this);
+
+		let renderTime = performance.now() - renderStart;
+
+		this.recordStats(updateTime, renderTime, timings);
+	}
+
+	// saves the camera and entity positions before an update
+	saveState() {
+		this.previousCamera = getCameraState(this.camera);
+
+		this.previousEntities.clear();
+		let entities = this.scene.gameObject.entities;
+		for (let i = 0; i < entities.length; i++) {
+			let position = entities[i].orientation.position;
+			this.previousEntities.set(entities[i], {
+				x: position.x,
+				y: position.y,
+				z: position.z
+			});
+		}
+	}
+
+	/*
+	makes the frames until the next update show the camera or an entity where
+	it is now, instead of moving it there from where it was before the update.
+	Call it from the update after teleporting something (such as through a
+	portal, see Collision.move), object is optional and resets the camera and
+	every entity
+	*/
+	resetInterpolation(object) {
+		if (object === undefined) {
+			this.previousCamera = undefined;
+			this.previousEntities.clear();
+		} else if (object === this.camera) {
+			if (this.previousCamera !== undefined) {
+				this.previousCamera = getCameraState(this.camera);
+			}
+		} else if (object instanceof Entity) {
+			// entities without a previous state aren't interpolated
+			this.previousEntities.delete(object);
+		} else {
+			throw new Error(
+				"Engine.resetInterpolation must recieve the camera of the " +
+				"engine or an entity of type Entity"
+			);
+		}
+
+		return this;
+	}
+
+	/*
+	moves the camera and entities alpha of the way from their previous state
+	to their current state, returns a function that moves them back
+	*/
+	interpolateState(alpha) {
+		let camera = this.camera;
+		let position = camera.orientation.position;
+		let direction = camera.orientation.direction;
+		let previous = this.previousCamera;
+
+		let current = {
+			x: position.x,
+			y: position.y,
+			z: position.z,
+			dirX: direction.x,
+			dirY: direction.y,
+			pitch: camera.pitch,
+			planeX: camera.plane.x,
+			planeY: camera.plane.y
+		};
+
+		position.x = lerp(previous.x, current.x, alpha);
+		position.y = lerp(previous.y, current.y, alpha);
+		position.z = lerp(previous.z, current.z, alpha);
+		camera.pitch = Math.round(lerp(previous.pitch, current.pitch, alpha));
+
+		// keep the length of the direction (the focal length) while turning
+		let dirX = lerp(previous.dirX, current.dirX, alpha);
+		let dirY = lerp(previous.dirY, current.dirY, alpha);
+		let length = Math.sqrt(dirX * dirX + dirY * dirY);
+		let currentLength = Math.sqrt(
+			current.dirX * current.dirX + current.dirY * current.dirY
+		);
+		if (length !== 0) {
+			direction.x = dirX / length * currentLength;
+			direction.y = dirY / length * currentLength;
+			camera.plane.x = -direction.y;
+			camera.plane.y = direction.x;
+		}
+
+		// entities added during the last update have nowhere to come from
+		let entityStates = [];
+		let entities = this.scene.gameObject.entities;
+		for (let i = 0; i < entities.length; i++) {
+			let previousEntity = this.previousEntities.get(entities[i]);
+			if (previousEntity === undefined) continue;
+
+			let entityPosition = entities[i].orientation.position;
+			entityStates.push({
+				position: entityPosition,
+				x: entityPosition.x,
+				y: entityPosition.y,
+				z: entityPosition.z
+			});
+
+			entityPosition.x = lerp(previousEntity.x, entityPosition.x, alpha);
+			entityPosition.y = lerp(previousEntity.y, entityPosition.y, alpha);
+			entityPosition.z = lerp(previousEntity.z, entityPosition.z, alpha);
+		}
+
+		return function() {
+			position.x = current.x;
+			position.y = current.y;
+			position.z = current.z;
+			direction.x = current.dirX;
+			direction.y = current.dirY;
+			camera.pitch = current.pitch;
+			camera.plane.x = current.planeX;
+			camera.plane.y = current.planeY;
+
+			for (let i = 0; i < entityStates.length; i++) {
+				entityStates[i].position.x = entityStates[i].x;
+				entityStates[i].position.y = entityStates[i].y;
+				entityStates[i].position.z = entityStates[i].z;
+			}
+		};
+	}
+
+	/*
+	records the statistics of a frame and averages them over the last
+	sampleCount frames
+	*/
+	recordStats(updateTime, renderTime, timings) {
+		let now = performance.now();
+		let frameTime = this.lastStatsTime === undefined ?
+			0 : now - this.lastStatsTime;
+		this.lastStatsTime = now;
+
+		// the first frame has no frame before it to measure from
+		if (frameTime !== 0) {
+			this.stats.frameTime = addSample(
+				this.samples.frameTime,
+				frameTime,
+				this.sampleCount
+			);
+			this.stats.fps = 1000 / this.stats.frameTime;
+		}
+
+		this.stats.updateTime = addSample(
+			this.samples.updateTime,
+			updateTime,
+			this.sampleCount
+		);
+		this.stats.renderTime = addSample(
+			this.samples.renderTime,
+			renderTime,
+			this.sampleCount
+		);
+
+		for (let i = 0; i < Renderer.passes.length; i++) {
+			let pass = Renderer.passes[i];
+			this.stats.passes[pass] = addSample(
+				this.samples[pass],
+				timings[pass],
+				this.sampleCount
+			);
+		}
+	}
+}
+
+export { Engine };
+
+// gets the state of a camera that is interpolated
+function getCameraState(camera) {
+	return {
+		x: camera.orientation.position.x,
+		y: camera.orientation.position.y,
+		z: camera.orientation.position.z,
+		dirX: camera.orientation.direction.x,
+		dirY: camera.orientation.direction.y,
+		pitch: camera.pitch
+	};
+}
+
+// interpolates from a to b by t
+function lerp(a, b, t) {
+	return a + (b - a) * t;
+}
+
+/*
+adds a value to a list of samples (dropping the oldest samples past
+sampleCount), returns the average of the samples
+*/
+function addSample(samples, value, sampleCount) {
+	samples.push(value);
+	while (samples.length > sampleCount) samples.shift();
+
+	let total = 0;
+	for (let i = 0; i < samples.length; i++) {
+		total += samples[i];
+	}
+
+	return total / samples.length;
+}
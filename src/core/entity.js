@@ -4,12 +4,16 @@ any user made item / character class should use this class or derive from it
 */
 
 import { Texture } from "/src/resources/texture.js";
+import { TextureRegion } from "/src/resources/textureRegion.js";
+import { DirectionalSprite } from "/src/resources/directionalSprite.js";
+import { AnimatedTexture } from "/src/resources/animatedTexture.js";
 import { Color } from "/src/resources/color.js";
 import { Orientation } from "/src/math/orientation.js";
 
 class Entity {
 	/*
-	config holds the appearance (texture or color), position and direction, 
+	config holds the appearance (texture, texture region, animated texture, 
+	directional sprite or color), position and direction, 
 	and the size of the entity (in world coordinates)
 	*/
 	constructor(config) {
@@ -22,10 +26,14 @@ class Entity {
 
 		// check if appearance argument is provided (neccessary)
 		if (!(config.appearance instanceof Texture) &&
+			!(config.appearance instanceof TextureRegion) &&
+			!(config.appearance instanceof AnimatedTexture) &&
+			!(config.appearance instanceof DirectionalSprite) &&
 			!(config.appearance instanceof Color)) {
 			throw new Error(
 				"Entity constructor must receive an appearance argument of " +
-				"type Texture or Color"
+				"type Texture, TextureRegion, AnimatedTexture, " +
+				"DirectionalSprite or Color"
 			);
 		}
 
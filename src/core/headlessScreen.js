@@ -0,0 +1,235 @@
+/*
+A screen that isn't backed by an html canvas. Its pixels and depth buffer are
+plain typed arrays, so the renderer can draw into it anywhere (such as Node for
+automated tests or server side thumbnails). The frame can be encoded as PNG or
+PPM bytes.
+*/
+
+import { Screen } from "/src/core/screen.js";
+
+class HeadlessScreen extends Screen {
+	/*
+	width and height are the dimentions of the frame, quality is optional
+	(default to 1) and scales the dimentions the same way it does for Screen
+	*/
+	constructor(width, height, quality) {
+		super(width, height, quality === undefined ? 1 : quality);
+	}
+
+	// creates the pixel and depth buffers without a canvas
+	createBuffers() {
+		// actual pixel data of the screen
+		this.pixels = new Uint8ClampedArray(
+			this.renderWidth * this.renderHeight * 4
+		);
+
+		// holds the y depth from the camera for every pixel of the screen
+		this.depthBuffer = new Float64Array(
+			this.renderWidth * this.renderHeight
+		);
+		this.depthBuffer.fill(Infinity);
+	}
+
+	// clears the pixel and depth buffers
+	clear() {
+		this.pixels.fill(0);
+		this.depthBuffer.fill(Infinity);
+	}
+
+	// there is no canvas to read from, the pixels array is the screen
+	setPixels() {}
+
+	// there is no canvas to draw to, the pixels array is the screen
+	update() {}
+
+	// a headless screen can't be added to a document
+	setParent() {
+		throw new Error(
+			"Failed to execute HeadlessScreen.setParent: headless screens " +
+			"have no canvas element"
+		);
+	}
+
+	/*
+	encodes the frame as a binary PPM (P6) image, returns a Uint8Array (PPM
+	has no alpha channel, so alpha is dropped)
+	*/
+	toPPM() {
+		let header = "P6\n" + this.renderWidth + " " + this.renderHeight +
+			"\n255\n";
+		let pixelCount = this.renderWidth * this.renderHeight;
+		let bytes = new Uint8Array(header.length + pixelCount * 3);
+
+		// the header is plain ascii
+		for (let i = 0; i < header.length; i++) {
+			bytes[i] = header.charCodeAt(i);
+		}
+
+		// copy the rgb channels of every pixel
+		for (let i = 0; i < pixelCount; i++) {
+			bytes[header.length + i * 3] = this.pixels[i * 4];
+			bytes[header.length + i * 3 + 1] = this.pixels[i * 4 + 1];
+			bytes[header.length + i * 3 + 2] = this.pixels[i * 4 + 2];
+		}
+
+		return bytes;
+	}
+
+	/*
+	encodes the frame as a PNG image, returns a Uint8Array. The image data is
+	stored without compression (the same frame always encodes to the same
+	bytes, which suits golden image tests)
+	*/
+	toPNG() {
+		let width = this.renderWidth;
+		let height = this.renderHeight;
+
+		/*
+		every row of the image starts with a filter type byte (0 means no
+		filter) followed by the rgba channels of the row
+		*/
+		let rowLength = width * 4 + 1;
+		let raw = new Uint8Array(rowLength * height);
+		for (let y = 0; y < height; y++) {
+			raw.set(
+				this.pixels.subarray(y * width * 4, (y + 1) * width * 4),
+				y * rowLength + 1
+			);
+		}
+
+		// image header: dimentions, 8 bit depth, rgba color type
+		let header = new Uint8Array(13);
+		writeUint32(header, 0, width);
+		writeUint32(header, 4, height);
+		header[8] = 8;
+		header[9] = 6;
+
+		let chunks = [
+			pngSignature,
+			createChunk("IHDR", header),
+			createChunk("IDAT", zlibStore(raw)),
+			createChunk("IEND", new Uint8Array(0))
+		];
+
+		// join the chunks into a single array
+		let length = 0;
+		for (let i = 0; i < chunks.length; i++) {
+			length += chunks[i].length;
+		}
+
+		let bytes = new Uint8Array(length);
+		let offset = 0;
+		for (let i = 0; i < chunks.length; i++) {
+			bytes.set(chunks[i], offset);
+			offset += chunks[i].length;
+		}
+
+		return bytes;
+	}
+}
+
+export { HeadlessScreen };
+
+// the first 8 bytes of every PNG file
+const pngSignature = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// the largest amount of bytes a stored deflate block can hold
+const maxBlockLength = 65535;
+
+// lookup table used to calculate CRC32 checksums
+const crcTable = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	crcTable[n] = c >>> 0;
+}
+
+// writes an unsigned 32 bit big endian integer into bytes at offset
+function writeUint32(bytes, offset, value) {
+	bytes[offset] = value >>> 24;
+	bytes[offset + 1] = value >>> 16;
+	bytes[offset + 2] = value >>> 8;
+	bytes[offset + 3] = value;
+}
+
+// calculates the CRC32 checksum of bytes (used by PNG chunks)
+function crc32(bytes) {
+	let crc = 0xffffffff;
+	for (let i = 0; i < bytes.length; i++) {
+		crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+	}
+
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+// calculates the Adler32 checksum of bytes (used by zlib streams)
+function adler32(bytes) {
+	let a = 1;
+	let b = 0;
+	for (let i = 0; i < bytes.length; i++) {
+		a = (a + bytes[i]) % 65521;
+		b = (b + a) % 65521;
+	}
+
+	return ((b << 16) | a) >>> 0;
+}
+
+/*
+creates a PNG chunk: the length of the data, the chunk type, the data and the
+CRC32 of the type and data
+*/
+function createChunk(type, data) {
+	let chunk = new Uint8Array(data.length + 12);
+
+	writeUint32(chunk, 0, data.length);
+	for (let i = 0; i < 4; i++) {
+		chunk[4 + i] = type.charCodeAt(i);
+	}
+	chunk.set(data, 8);
+	writeUint32(
+		chunk,
+		data.length + 8,
+		crc32(chunk.subarray(4, data.length + 8))
+	);
+
+	return chunk;
+}
+
+/*
+wraps bytes in a zlib stream made of uncompressed (stored) deflate blocks,
+which every PNG decoder can read
+*/
+function zlibStore(bytes) {
+	let blockCount = Math.max(Math.ceil(bytes.length / maxBlockLength), 1);
+
+	// 2 header bytes, 5 bytes per block header and a 4 byte checksum
+	let stream = new Uint8Array(bytes.length + blockCount * 5 + 6);
+
+	// zlib header: deflate with a 32K window, no preset dictionary
+	stream[0] = 0x78;
+	stream[1] = 0x01;
+
+	let offset = 2;
+	for (let i = 0; i < blockCount; i++) {
+		let start = i * maxBlockLength;
+		let length = Math.min(bytes.length - start, maxBlockLength);
+
+		// the last block is flagged as final
+		stream[offset] = i === blockCount - 1 ? 1 : 0;
+
+		// the length of the block and its one's complement (little endian)
+		stream[offset + 1] = length & 0xff;
+		stream[offset + 2] = length >>> 8;
+		stream[offset + 3] = ~length & 0xff;
+		stream[offset + 4] = (~length >>> 8) & 0xff;
+
+		stream.set(bytes.subarray(start, start + length), offset + 5);
+		offset += length + 5;
+	}
+
+	writeUint32(stream, offset, adler32(bytes));
+
+	return stream;
+}
@@ -0,0 +1,315 @@
+/*
+Reads a world map from an image, so levels can be sketched in any image
+editor: each pixel is a cell, and a legend maps pixel colors to cell ids.
+Marker colors can also place entities, and the start position and direction
+of the camera. For example:
+let level = ImageMap.read(texture, {
+	legend: { "#ffffff": 0, "#000000": 1, "#ff0000": 2 },
+	cellInfo: { 1: { appearance: bricks }, 2: { appearance: metal } },
+	markers: { "#ffff00": { appearance: barrel, size: { x: 0.5, y: 0.5 } } },
+	camera: "#00ff00",
+	cameraDirection: "#008000"
+});
+let scene = new Scene({
+	worldMap: level.worldMap,
+	gameObject: { entities: level.entities }
+});
+camera.orientation.position.x = level.camera.position.x; ...
+*/
+
+import {
+	Entity
+} from "/src/core/entity.js";
+import {
+	Texture
+} from "/src/resources/texture.js";
+
+let ImageMap = {};
+
+/*
+reads a world map from a loaded texture, config is an object, recognized
+attributes are:
+legend (required), an object of colors ("#RRGGBB") to cell ids.
+cellInfo, the cellInfo object of the world map (see Scene).
+markers, an object of colors to entities, either an Entity config object (a
+copy of it is placed at the center of each marker pixel, keeping its z
+position) or a function that receives the x and y coordinates of the center
+of the pixel and returns an Entity.
+camera, the color of the pixel the camera starts in, and cameraDirection, the
+color of a pixel next to it (diagonals included) the camera starts facing.
+markerCell, the cell id of marker pixels (default to 0, an empty cell).
+tolerance, how much each color channel can differ from the legend (for images
+saved with lossy compression, default to 0).
+Fully transparent pixels are empty cells, any other color that isn't in the
+legend or markers throws an error.
+Returns an object with the attributes worldMap (with width, height, data and
+cellInfo), entities (an array of Entities), and camera (an object with
+position and direction attributes, undefined if there was no camera pixel).
+*/
+ImageMap.read = function(texture, config) {
+	// check if the texture is valid
+	if (!(texture instanceof Texture)) {
+		throw new Error("ImageMap.read must recieve a texture of type Texture");
+	}
+
+	if (!texture.hasLoaded) {
+		throw new Error(
+			"Failed to execute ImageMap.read: texture hasn't loaded"
+		);
+	}
+
+	// check if we recieved a config object
+	if (typeof config !== "object" || config === null ||
+		typeof config.legend !== "object" || config.legend === null) {
+		throw new Error(
+			"ImageMap.read must recieve a config object with a legend"
+		);
+	}
+
+	// check if the tolerance is valid
+	if (config.tolerance !== undefined &&
+		(typeof config.tolerance !== "number" || config.tolerance < 0)) {
+		throw new Error("ImageMap tolerance must be a positive number");
+	}
+
+	// check if the marker cell id is valid
+	if (config.markerCell !== undefined &&
+		!Number.isInteger(config.markerCell)) {
+		throw new Error("ImageMap markerCell must be an integer");
+	}
+
+	// every color the image can have, and what it stands for
+	let entries = [];
+
+	for (const color in config.legend) {
+		if (!Number.isInteger(config.legend[color])) {
+			throw new Error(
+				"ImageMap legend[\"" + color + "\"] must be an integer cell id"
+			);
+		}
+
+		entries.push({
+			color: readColor(color),
+			id: config.legend[color]
+		});
+	}
+
+	let markers = config.markers || {};
+	for (const color in markers) {
+		let marker = markers[color];
+		if ((typeof marker !== "object" && typeof marker !== "function") ||
+			marker === null) {
+			throw new Error(
+				"ImageMap markers[\"" + color + "\"] must be an Entity " +
+				"config object or a function"
+			);
+		}
+
+		entries.push({
+			color: readColor(color),
+			marker: marker
+		});
+	}
+
+	if (config.camera !== undefined) {
+		entries.push({
+			color: readColor(config.camera),
+			camera: true
+		});
+	}
+
+	if (config.cameraDirection !== undefined) {
+		entries.push({
+			color: readColor(config.cameraDirection),
+			cameraDirection: true
+		});
+	}
+
+	let tolerance = config.tolerance || 0;
+	let markerCell = config.markerCell || 0;
+
+	let width = texture.width;
+	let height = texture.height;
+	let pixels = texture.pixels;
+
+	let result = {
+		worldMap: {
+			width: width,
+			height: height,
+			data: [],
+			cellInfo: config.cellInfo || {}
+		},
+		entities: [],
+		camera: undefined
+	};
+
+	// the pixels the camera could be facing
+	let directionCells = [];
+
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			let index = (x + y * width) * 4;
+
+			// transparent pixels are empty
+			if (pixels[index + 3] === 0) {
+				result.worldMap.data.push(0);
+				continue;
+			}
+
+			let entry = findEntry(entries, pixels, index, tolerance);
+
+			if (entry === undefined) {
+				throw new Error(
+					"ImageMap.read found the color " +
+					writeColor(pixels, index) + " at (" + x + ", " + y +
+					") which isn't in the legend"
+				);
+			}
+
+			if (entry.id !== undefined) {
+				result.worldMap.data.push(entry.id);
+				continue;
+			}
+
+			// every other entry is a marker placed on an empty cell
+			result.worldMap.data.push(markerCell);
+
+			if (entry.marker !== undefined) {
+				result.entities.push(
+					createEntity(entry.marker, x + 0.5, y + 0.5)
+				);
+			} else if (entry.camera) {
+				if (result.camera !== undefined) {
+					throw new Error(
+						"ImageMap.read found more than one camera pixel"
+					);
+				}
+
+				result.camera = {
+					position: {
+						x: x + 0.5,
+						y: y + 0.5
+					},
+					// default to facing along the x axis
+					direction: {
+						x: 1,
+						y: 0
+					}
+				};
+			} else {
+				directionCells.push({
+					x: x,
+					y: y
+				});
+			}
+		}
+	}
+
+	// face the direction pixel that touches the camera pixel
+	if (result.camera !== undefined) {
+		let position = result.camera.position;
+
+		for (let i = 0; i < directionCells.length; i++) {
+			let dx = directionCells[i].x + 0.5 - position.x;
+			let dy = directionCells[i].y + 0.5 - position.y;
+
+			if (Math.abs(dx) <= 1 && Math.abs(dy) <= 1) {
+				let length = Math.sqrt(dx * dx + dy * dy);
+				result.camera.direction = {
+					x: dx / length,
+					y: dy / length
+				};
+				break;
+			}
+		}
+	}
+
+	return result;
+};
+
+export {
+	ImageMap
+};
+
+// reads a "#RRGGBB" color string into an array of [red, green, blue]
+function readColor(string) {
+	if (typeof string !== "string" || !/^#[0-9a-fA-F]{6}$/.test(string)) {
+		throw new Error(
+			"ImageMap colors must be strings in the \"#RRGGBB\" format, " +
+			"recieved " + string
+		);
+	}
+
+	return [
+		parseInt(string.slice(1, 3), 16),
+		parseInt(string.slice(3, 5), 16),
+		parseInt(string.slice(5, 7), 16)
+	];
+}
+
+// writes the color of a pixel as a "#RRGGBB" string
+function writeColor(pixels, index) {
+	let string = "#";
+	for (let i = 0; i < 3; i++) {
+		string += pixels[index + i].toString(16).padStart(2, "0");
+	}
+
+	return string;
+}
+
+// finds the entry of the color at index (the closest one within tolerance)
+function findEntry(entries, pixels, index, tolerance) {
+	let closest;
+	let closestDifference = Infinity;
+
+	for (let i = 0; i < entries.length; i++) {
+		let color = entries[i].color;
+		let difference = Math.max(
+			Math.abs(pixels[index] - color[0]),
+			Math.abs(pixels[index + 1] - color[1]),
+			Math.abs(pixels[index + 2] - color[2])
+		);
+
+		if (difference <= tolerance && difference < closestDifference) {
+			closest = entries[i];
+			closestDifference = difference;
+		}
+	}
+
+	return closest;
+}
+
+// creates the entity of a marker at some position
+function createEntity(marker, x, y) {
+	if (typeof marker === "function") {
+		let entity = marker(x, y);
+
+		if (!(entity instanceof Entity)) {
+			throw new Error(
+				"ImageMap marker functions must return an Entity"
+			);
+		}
+
+		return entity;
+	}
+
+	let z = marker.position === undefined ? 0 : marker.position.z;
+
+	let config = Object.assign({}, marker, {
+		position: {
+			x: x,
+			y: y,
+			z: z
+		}
+	});
+
+	// entities keep their size object, so each one gets its own
+	if (marker.size !== undefined) {
+		config.size = {
+			x: marker.size.x,
+			y: marker.size.y
+		};
+	}
+
+	return new Entity(config);
+}
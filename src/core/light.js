@@ -0,0 +1,109 @@
+/*
+this class represents a colored point light in the raycast world (such as a
+torch, a lamp or a muzzle flash), lights brighten anything within their radius
+on top of the scene and camera lighting
+*/
+
+import { Color } from "/src/resources/color.js";
+import { Vector } from "/src/math/vector.js";
+
+class Light {
+	/*
+	config holds the position (x, y and z), color, intensity, radius and
+	falloff of the light
+	*/
+	constructor(config) {
+		// check if we recieved a config object
+		if (typeof config !== "object") {
+			throw new Error(
+				"Light constructor must recieve a config object"
+			);
+		}
+
+		// check if we received a valid position
+		if (config.position !== undefined && (
+				typeof config.position !== "object" ||
+				typeof config.position.x !== "number" ||
+				typeof config.position.y !== "number")) {
+			throw new Error(
+				"Light position must be an object with x and y attributes " +
+				"that are numbers"
+			);
+		}
+
+		// check if the z attribute was passed correctly
+		if (config.position !== undefined &&
+			config.position.z !== undefined &&
+			typeof config.position.z !== "number"
+		) {
+			throw new Error("Light z position must be a number");
+		}
+
+		// check if the color was passed properly
+		if (config.color !== undefined && !(config.color instanceof Color)) {
+			throw new Error("Light color must be of type Color");
+		}
+
+		// the rest of the light attributes are all positive numbers
+		let numberAttributes = ["intensity", "radius", "falloff"];
+		for (let i = 0; i < numberAttributes.length; i++) {
+			let value = config[numberAttributes[i]];
+			if (value !== undefined && (typeof value !== "number" || value < 0)) {
+				throw new Error(
+					"Light " + numberAttributes[i] + " must be a positive number"
+				);
+			}
+		}
+
+		// if position wasn't provided, use the origin
+		let position = config.position || {
+			x: 0,
+			y: 0
+		};
+
+		// the position of the light, default to halfway up a wall
+		this.position = new Vector(position.x, position.y);
+		this.position.z = position.z === undefined ? 0.5 : position.z;
+
+		// the color of the light, default to white
+		this.color = config.color || new Color(255, 255, 255, 255);
+
+		// how bright the light is at its center, default to 1
+		this.intensity = config.intensity === undefined ?
+			1 : config.intensity;
+
+		// how far the light reaches, default to 4 cells
+		this.radius = config.radius === undefined ? 4 : config.radius;
+
+		/*
+		how quickly the light fades towards its radius, the light is scaled by
+		(1 - distance / radius) ^ falloff (1 is linear, 2 is quadratic, ...)
+		*/
+		this.falloff = config.falloff === undefined ? 1 : config.falloff;
+
+		// set the enabled flag to its corresponding true / false value
+		this.enabled = config.enabled === undefined ? true : !!config.enabled;
+	}
+
+	/*
+	gets how much the light brightens a point in world space, returns 0 if
+	the point is outside of the light's radius
+	*/
+	getAmount(x, y, z) {
+		// a disabled light doesn't brighten anything
+		if (!this.enabled) return 0;
+
+		let dx = x - this.position.x;
+		let dy = y - this.position.y;
+		let dz = z - this.position.z;
+		let distanceSqr = dx * dx + dy * dy + dz * dz;
+
+		// the point is out of reach
+		if (distanceSqr >= this.radius * this.radius) return 0;
+
+		return this.intensity *
+			Math.pow(1 - Math.sqrt(distanceSqr) / this.radius, this.falloff);
+	}
+}
+
+export { Light };
@@ -0,0 +1,523 @@
+/*
+The minimap draws a top down view of a scene's world map into a screen (or a
+part of one): the wall cells (in the color of their appearance, textures use
+their average color), the entities, the camera and its view frustum. It can
+show the whole map (an automap) or follow the camera, and it can hide the
+cells the camera hasn't seen yet (see trackExplored).
+*/
+
+import {
+	Screen
+} from "/src/core/screen.js";
+import {
+	Scene
+} from "/src/core/scene.js";
+import {
+	Camera
+} from "/src/core/camera.js";
+import {
+	Ray
+} from "/src/core/ray.js";
+import {
+	Color
+} from "/src/resources/color.js";
+import {
+	Texture
+} from "/src/resources/texture.js";
+import {
+	TextureRegion
+} from "/src/resources/textureRegion.js";
+import {
+	AnimatedTexture
+} from "/src/resources/animatedTexture.js";
+
+class Minimap {
+	/*
+	Constructor takes an optional config object argument, recognized
+	attributes are:
+	rect, the part of the screen the map is drawn in, an object with x, y,
+	width and height attributes in pixels (default to the whole screen).
+	follow, centers the map on the camera instead of fitting the whole map in
+	the rect (default to false), range is the amount of cells that fit across
+	the rect while following (default to 16).
+	trackExplored, only draws the cells Renderer.renderWalls has seen (the
+	scene gets a worldMap.explored array, default to false).
+	showEntities and showFrustum (default to true), frustumLength (how far
+	the view frustum reaches in cells, default to 4).
+	colors, an object of Colors: background, floor (empty cells), wall (cells
+	without an appearance), unexplored, entity, camera and frustum, colors
+	with partial alpha are blended with the screen.
+	*/
+	constructor(config) {
+		config = config || {};
+
+		// check if we recieved a config object
+		if (typeof config !== "object") {
+			throw new Error(
+				"Minimap constructor must recieve a config object"
+			);
+		}
+
+		// check if the rect is valid
+		if (config.rect !== undefined && (
+				typeof config.rect !== "object" ||
+				!["x", "y", "width", "height"].every(
+					attribute => Number.isInteger(config.rect[attribute])
+				))) {
+			throw new Error(
+				"Minimap rect must be an object with x, y, width and height " +
+				"attributes that are integers"
+			);
+		}
+
+		// check if the number attributes are valid
+		let numberAttributes = ["range", "frustumLength"];
+		for (let i = 0; i < numberAttributes.length; i++) {
+			let value = config[numberAttributes[i]];
+			if (value !== undefined &&
+				(typeof value !== "number" || !(value > 0))) {
+				throw new Error(
+					"Minimap " + numberAttributes[i] +
+					" must be a number greater than 0"
+				);
+			}
+		}
+
+		// check if the colors are valid
+		if (config.colors !== undefined && typeof config.colors !== "object") {
+			throw new Error("Minimap colors must be an object");
+		}
+
+		let colors = config.colors || {};
+		for (const name in colors) {
+			if (!(colors[name] instanceof Color)) {
+				throw new Error(
+					"Minimap colors." + name + " must be of type Color"
+				);
+			}
+		}
+
+		this.rect = config.rect;
+		this.follow = !!config.follow;
+		this.range = config.range || 16;
+		this.trackExplored = !!config.trackExplored;
+		this.showEntities = config.showEntities === undefined ?
+			true : !!config.showEntities;
+		this.showFrustum = config.showFrustum === undefined ?
+			true : !!config.showFrustum;
+		this.frustumLength = config.frustumLength || 4;
+
+		this.colors = {
+			background: colors.background || new Color(0, 0, 0, 255),
+			floor: colors.floor || new Color(40, 40, 40, 255),
+			wall: colors.wall || new Color(200, 200, 200, 255),
+			unexplored: colors.unexplored || new Color(0, 0, 0, 255),
+			entity: colors.entity || new Color(255, 200, 0, 255),
+			camera: colors.camera || new Color(255, 60, 60, 255),
+			frustum: colors.frustum || new Color(255, 255, 255, 160)
+		};
+
+		// the average colors of textures, so they are only calculated once
+		this.averageColors = new Map();
+	}
+
+	/*
+	draws the map of a scene into a screen, seen from a camera (call
+	screen.update afterwards to show it)
+	*/
+	render(screen, scene, camera) {
+		// check if the screen, scene and camera are valid
+		if (!(screen instanceof Screen)) {
+			throw new Error(
+				"Minimap.render must recieve a screen of type Screen"
+			);
+		}
+
+		if (!(scene instanceof Scene)) {
+			throw new Error(
+				"Minimap.render must recieve a scene of type Scene"
+			);
+		}
+
+		if (!(camera instanceof Camera)) {
+			throw new Error(
+				"Minimap.render must recieve a camera of type Camera"
+			);
+		}
+
+		let worldMap = scene.worldMap;
+
+		// start tracking explored cells (Renderer.renderWalls marks them)
+		if (this.trackExplored && worldMap.explored === undefined) {
+			Minimap.resetExplored(scene);
+		}
+
+		// the part of the screen that is drawn to, clipped to the screen
+		let rect = clipRect(this.rect || {
+			x: 0,
+			y: 0,
+			width: screen.renderWidth,
+			height: screen.renderHeight
+		}, screen);
+
+		if (rect.width <= 0 || rect.height <= 0) return;
+
+		let view = this.getView(rect, worldMap, camera);
+
+		// draw the cells, one pixel at a time
+		for (let py = rect.y; py < rect.y + rect.height; py++) {
+			for (let px = rect.x; px < rect.x + rect.width; px++) {
+				let worldX = view.x + (px - rect.x + 0.5) / view.cellSize;
+				let worldY = view.y + (py - rect.y + 0.5) / view.cellSize;
+
+				let color = this.getCellColor(
+					scene,
+					worldX,
+					worldY,
+					view.cellSize
+				);
+
+				blendColor(screen, px, py, color);
+			}
+		}
+
+		// the position of the camera on the screen
+		let cameraPosition = camera.orientation.position;
+		let cameraX = rect.x + (cameraPosition.x - view.x) * view.cellSize;
+		let cameraY = rect.y + (cameraPosition.y - view.y) * view.cellSize;
+
+		if (this.showFrustum) {
+			this.drawFrustum(
+				screen,
+				scene,
+				camera,
+				rect,
+				view,
+				cameraX,
+				cameraY
+			);
+		}
+
+		if (this.showEntities) {
+			this.drawEntities(screen, scene, rect, view);
+		}
+
+		// draw the camera as a small square
+		let cameraSize = Math.max(Math.round(view.cellSize * 0.3), 2);
+		fillRect(
+			screen,
+			rect,
+			Math.round(cameraX - cameraSize / 2),
+			Math.round(cameraY - cameraSize / 2),
+			cameraSize,
+			cameraSize,
+			this.colors.camera
+		);
+	}
+
+	/*
+	gets the top left corner of the map (in world coordinates) and the size
+	of a cell (in pixels) of the view drawn into rect
+	*/
+	getView(rect, worldMap, camera) {
+		if (this.follow) {
+			let cellSize = Math.min(rect.width, rect.height) / this.range;
+
+			return {
+				x: camera.orientation.position.x - rect.width / 2 / cellSize,
+				y: camera.orientation.position.y - rect.height / 2 / cellSize,
+				cellSize: cellSize
+			};
+		}
+
+		// fit the whole map in the rect, centered
+		let cellSize = Math.min(
+			rect.width / Math.max(worldMap.width, 1),
+			rect.height / Math.max(worldMap.height, 1)
+		);
+
+		return {
+			x: worldMap.width / 2 - rect.width / 2 / cellSize,
+			y: worldMap.height / 2 - rect.height / 2 / cellSize,
+			cellSize: cellSize
+		};
+	}
+
+	// gets the color of the map at a point in world coordinates
+	getCellColor(scene, worldX, worldY, cellSize) {
+		let worldMap = scene.worldMap;
+		let cellX = Math.floor(worldX);
+		let cellY = Math.floor(worldY);
+
+		// outside of the map
+		if (cellX < 0 || cellY < 0 ||
+			cellX >= worldMap.width || cellY >= worldMap.height) {
+			return this.colors.background;
+		}
+
+		let index = cellX + cellY * worldMap.width;
+
+		if (this.trackExplored && !worldMap.explored[index]) {
+			return this.colors.unexplored;
+		}
+
+		// cells without cellInfo aren't drawn by the renderer, they are empty
+		let cell = worldMap.data[index];
+		let cellInfo = worldMap.cellInfo[cell];
+		if (cell === 0 || cellInfo === undefined) return this.colors.floor;
+
+		// thin walls are drawn as a line across their cell
+		let thinWall = cellInfo.thinWall;
+		if (thinWall !== undefined) {
+			// the position of the point inside of the cell
+			let along = worldY - cellY;
+			let across = worldX - cellX;
+			if (thinWall.axis === "x") {
+				along = worldX - cellX;
+				across = worldY - cellY;
+			}
+
+			// at least a pixel and a half thick
+			let thickness = Math.max(1.5 / cellSize, 0.1);
+
+			if (along < thinWall.open ||
+				Math.abs(across - thinWall.offset) > thickness / 2) {
+				return this.colors.floor;
+			}
+		}
+
+		return this.getAppearanceColor(cellInfo.appearance.north);
+	}
+
+	/*
+	gets the color an appearance is drawn with, textures use the average
+	color of their pixels
+	*/
+	getAppearanceColor(appearance) {
+		// animated textures use their first frame
+		if (appearance instanceof AnimatedTexture) {
+			appearance = appearance.frames[0];
+		}
+
+		if (appearance instanceof Color) {
+			// a transparent appearance means the cell has no appearance
+			return appearance.alpha === 0 ? this.colors.wall : appearance;
+		}
+
+		if (!appearance.hasLoaded) return this.colors.wall;
+
+		let color = this.averageColors.get(appearance);
+		if (color === undefined) {
+			color = getAverageColor(appearance);
+			this.averageColors.set(appearance, color);
+		}
+
+		// a texture without any visible pixels has no color either
+		return color.alpha === 0 ? this.colors.wall : color;
+	}
+
+	/*
+	forgets the average colors of textures, call this after changing the
+	pixels of a texture (see Texture.setPixels)
+	*/
+	clearCache() {
+		this.averageColors.clear();
+	}
+
+	/*
+	draws the edges of the camera's view, each edge stops at the first wall
+	it reaches
+	*/
+	drawFrustum(screen, scene, camera, rect, view, cameraX, cameraY) {
+		let direction = camera.orientation.direction;
+
+		for (let side = -1; side <= 1; side += 2) {
+			// the direction of the edge of the view, see Renderer.renderWalls
+			let dirX = direction.x * camera.focalLength +
+				camera.plane.x * screen.aspectRatio * 0.5 * side;
+			let dirY = direction.y * camera.focalLength +
+				camera.plane.y * screen.aspectRatio * 0.5 * side;
+
+			let length = Math.sqrt(dirX * dirX + dirY * dirY);
+			dirX /= length;
+			dirY /= length;
+
+			let distance = this.frustumLength;
+			if (scene.worldMap.data.length !== 0) {
+				let ray = new Ray(
+					scene,
+					camera.orientation.position.x,
+					camera.orientation.position.y,
+					dirX,
+					dirY
+				);
+				ray.cast();
+
+				// the renderer sees through cells without cellInfo
+				while (ray.hit !== 0 &&
+					scene.worldMap.cellInfo[ray.hit] === undefined) {
+					ray.cast();
+				}
+
+				if (ray.hit !== 0) distance = Math.min(distance, ray.distance);
+			}
+
+			drawLine(
+				screen,
+				rect,
+				cameraX,
+				cameraY,
+				cameraX + dirX * distance * view.cellSize,
+				cameraY + dirY * distance * view.cellSize,
+				this.colors.frustum
+			);
+		}
+	}
+
+	// draws every visible entity as a square as wide as the entity
+	drawEntities(screen, scene, rect, view) {
+		let worldMap = scene.worldMap;
+		let entities = scene.gameObject.entities;
+
+		for (let i = 0; i < entities.length; i++) {
+			let entity = entities[i];
+			if (!entity.isVisible) continue;
+
+			let position = entity.orientation.position;
+
+			// entities in unexplored cells stay hidden
+			if (this.trackExplored) {
+				let cellX = Math.floor(position.x);
+				let cellY = Math.floor(position.y);
+				if (cellX < 0 || cellY < 0 ||
+					cellX >= worldMap.width || cellY >= worldMap.height ||
+					!worldMap.explored[cellX + cellY * worldMap.width]) {
+					continue;
+				}
+			}
+
+			let size = Math.max(Math.round(entity.size.x * view.cellSize), 2);
+			let x = rect.x + (position.x - view.x) * view.cellSize;
+			let y = rect.y + (position.y - view.y) * view.cellSize;
+
+			fillRect(
+				screen,
+				rect,
+				Math.round(x - size / 2),
+				Math.round(y - size / 2),
+				size,
+				size,
+				this.colors.entity
+			);
+		}
+	}
+
+	/*
+	gives a scene a fresh worldMap.explored array (no cells explored), which
+	Renderer.renderWalls fills in as the camera looks around
+	*/
+	static resetExplored(scene) {
+		if (!(scene instanceof Scene)) {
+			throw new Error(
+				"Minimap.resetExplored must recieve a scene of type Scene"
+			);
+		}
+
+		scene.worldMap.explored = new Uint8Array(
+			scene.worldMap.width * scene.worldMap.height
+		);
+	}
+}
+
+export { Minimap };
+
+// clips a rect to the bounds of a screen
+function clipRect(rect, screen) {
+	let x = Math.max(rect.x, 0);
+	let y = Math.max(rect.y, 0);
+
+	return {
+		x: x,
+		y: y,
+		width: Math.min(rect.x + rect.width, screen.renderWidth) - x,
+		height: Math.min(rect.y + rect.height, screen.renderHeight) - y
+	};
+}
+
+// gets the average color of a texture or texture region
+function getAverageColor(texture) {
+	let offsetX = texture instanceof TextureRegion ? texture.x : 0;
+	let offsetY = texture instanceof TextureRegion ? texture.y : 0;
+	let pixelsWidth = texture instanceof TextureRegion ?
+		texture.texture.width : texture.width;
+
+	let red = 0;
+	let green = 0;
+	let blue = 0;
+	let count = 0;
+	for (let y = 0; y < texture.height; y++) {
+		for (let x = 0; x < texture.width; x++) {
+			let index = (x + offsetX + (y + offsetY) * pixelsWidth) * 4;
+
+			// fully transparent pixels don't show on walls
+			if (texture.pixels[index + 3] === 0) continue;
+
+			red += texture.pixels[index];
+			green += texture.pixels[index + 1];
+			blue += texture.pixels[index + 2];
+			count++;
+		}
+	}
+
+	if (count === 0) return new Color(0, 0, 0, 0);
+
+	return new Color(
+		Math.round(red / count),
+		Math.round(green / count),
+		Math.round(blue / count),
+		255
+	);
+}
+
+// blends a color over the pixel at (x, y) of the screen (by its alpha)
+function blendColor(screen, x, y, color) {
+	screen.blendPixel(
+		x + y * screen.renderWidth,
+		color.red,
+		color.green,
+		color.blue,
+		color.alpha / 255
+	);
+}
+
+// fills a rectangle of pixels with a color, clipped to rect
+function fillRect(screen, rect, x, y, width, height, color) {
+	let startX = Math.max(x, rect.x);
+	let startY = Math.max(y, rect.y);
+	let endX = Math.min(x + width, rect.x + rect.width);
+	let endY = Math.min(y + height, rect.y + rect.height);
+
+	for (let py = startY; py < endY; py++) {
+		for (let px = startX; px < endX; px++) {
+			blendColor(screen, px, py, color);
+		}
+	}
+}
+
+// draws a line of pixels from (x0, y0) to (x1, y1), clipped to rect
+function drawLine(screen, rect, x0, y0, x1, y1, color) {
+	let steps = Math.ceil(Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0)));
+
+	for (let i = 0; i <= steps; i++) {
+		let t = steps === 0 ? 0 : i / steps;
+		let x = Math.floor(x0 + (x1 - x0) * t);
+		let y = Math.floor(y0 + (y1 - y0) * t);
+
+		if (x < rect.x || y < rect.y ||
+			x >= rect.x + rect.width || y >= rect.y + rect.height) {
+			continue;
+		}
+
+		blendColor(screen, x, y, color);
+	}
+}
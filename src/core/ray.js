@@ -44,6 +44,14 @@ class Ray {
 		// if the scene is valid, assign it to the instance
 		this.scene = scene;
 
+		/*
+		if the ray is given an explored array (see Scene worldMap.explored),
+		every cell the ray passes through closer than exploreDistance gets
+		marked (Renderer.renderWalls uses this for automaps)
+		*/
+		this.explored = undefined;
+		this.exploreDistance = Infinity;
+
 		/*
 		if rayLength is not provided, set it to the length of the direction
 		vector, this will make the distance attribute equal the actual total 
@@ -60,10 +68,29 @@ class Ray {
 
 	// initializes the ray's properties to be ready for casting.
 	init(startX, startY, dirX, dirY, rayLength) {
+		/*
+		save the starting position, direction and length of the ray, these are
+		needed to find where exactly the ray hit a wall
+		*/
+		this.startX = startX;
+		this.startY = startY;
+		this.dirX = dirX;
+		this.dirY = dirY;
+		this.rayLength = rayLength;
+
 		// get the cell coordinates of the starting position
 		this.mapX = Math.floor(startX);
 		this.mapY = Math.floor(startY);
 
+		// the ray starts inside of its first cell
+		this.markExplored(this.mapX, this.mapY, 0);
+
+		/*
+		the first cast checks the thin wall of the starting cell (such as a
+		door the ray starts in front of) before leaving the cell
+		*/
+		this.isInStartCell = true;
+
 		/*
 		the length of the ray when it intersects the first horizontal / 
 		vertical side, the meaning of these variables slightly change when we 
@@ -100,6 +127,12 @@ class Ray {
 		// which north, south, west, or east face we hit
 		this.face = "";
 
+		/*
+		where exactly the face was hit, in the range [0, 1) relative to the
+		cell that was hit
+		*/
+		this.wallX = 0;
+
 		/*
 		DDA setup step directions and initial side distances (depends on the
 		direction of our ray)
@@ -160,33 +193,35 @@ class Ray {
 		// assume we haven't already hit a wall
 		this.hit = 0;
 
+		// whether or not the wall we hit is a thin wall
+		let hitThinWall = false;
+
+		if (this.isInStartCell) {
+			this.isInStartCell = false;
+			hitThinWall = this.castStartCell();
+		}
+
 		// perform DDA casting
 		while (this.hit === 0) {
-			// increment ray position
-			if (this.sideDistX > this.sideDistY) {
-				// check in the vertical direction
-				this.mapY += this.stepY;
-				this.sideDistY += this.deltaDistY;
-				this.side = 1;
-			} else {
-				// check in the horizontal direction
-				this.mapX += this.stepX;
-				this.sideDistX += this.deltaDistX;
-				this.side = 0;
-			}
-
-			// check if ray is out of map bounds, manually stop casting if so
-			if (this.mapX < 0 ||
-				this.mapY < 0 ||
-				this.mapX >= this.scene.worldMap.width ||
-				this.mapY >= this.scene.worldMap.height) {
-				break;
-			}
+			// move to the next cell, stop casting if it's out of bounds
+			if (!this.step()) break;
 
 			// if we are in the bounds, check if we hit a wall
 			this.hit = this.scene.worldMap.data[
 				this.mapX + this.mapY * this.scene.worldMap.width
 			];
+
+			// thin walls only count as a hit if the ray crosses their plane
+			let cellInfo = this.scene.worldMap.cellInfo[this.hit];
+			if (cellInfo !== undefined && cellInfo.thinWall !== undefined) {
+				hitThinWall = this.castThinWall(cellInfo.thinWall);
+				if (!hitThinWall) this.hit = 0;
+			}
+		}
+
+		// thin walls store the side they were hit on in thinWallSide
+		if (hitThinWall) {
+			this.side = this.thinWallSide;
 		}
 
 		/*
@@ -222,6 +257,176 @@ class Ray {
 				this.face = 2;
 			}
 		}
+
+		// thin walls are recessed, so use the distance to their plane
+		if (hitThinWall) {
+			this.distance = this.thinWallDistance;
+			return;
+		}
+
+		// find where exactly the wall was hit (depends on the side we hit)
+		if (this.side === 0) {
+			this.wallX = this.startY +
+				this.distance / this.rayLength * this.dirY;
+		} else {
+			this.wallX = this.startX +
+				this.distance / this.rayLength * this.dirX;
+		}
+
+		// make wallX relative to the cell it hit
+		this.wallX -= Math.floor(this.wallX);
+	}
+
+	/*
+	moves the ray into the next cell it crosses (without checking for walls),
+	returns false if that cell is outside of the map. The distance the ray
+	entered the cell at is sideDistX - deltaDistX on side 0, and
+	sideDistY - deltaDistY on side 1
+	*/
+	step() {
+		// increment ray position
+		if (this.sideDistX > this.sideDistY) {
+			// check in the vertical direction
+			this.mapY += this.stepY;
+			this.sideDistY += this.deltaDistY;
+			this.side = 1;
+		} else {
+			// check in the horizontal direction
+			this.mapX += this.stepX;
+			this.sideDistX += this.deltaDistX;
+			this.side = 0;
+		}
+
+		// check if ray is out of map bounds
+		if (this.mapX < 0 ||
+			this.mapY < 0 ||
+			this.mapX >= this.scene.worldMap.width ||
+			this.mapY >= this.scene.worldMap.height) {
+			return false;
+		}
+
+		// mark the cell the ray entered as explored
+		this.markExplored(
+			this.mapX,
+			this.mapY,
+			this.side === 0 ?
+				this.sideDistX - this.deltaDistX :
+				this.sideDistY - this.deltaDistY
+		);
+
+		return true;
+	}
+
+	/*
+	checks if the ray hits the thin wall of the cell it starts in, sets hit
+	(and the attributes castThinWall sets) if it does
+	*/
+	castStartCell() {
+		let worldMap = this.scene.worldMap;
+
+		if (this.mapX < 0 || this.mapY < 0 ||
+			this.mapX >= worldMap.width || this.mapY >= worldMap.height) {
+			return false;
+		}
+
+		let cell = worldMap.data[this.mapX + this.mapY * worldMap.width];
+		let cellInfo = worldMap.cellInfo[cell];
+
+		if (cellInfo === undefined || cellInfo.thinWall === undefined ||
+			!this.castThinWall(cellInfo.thinWall)) {
+			return false;
+		}
+
+		this.hit = cell;
+		return true;
+	}
+
+	/*
+	marks a cell as explored if the ray has an explored array and the ray
+	entered the cell (at distance) before its exploreDistance
+	*/
+	markExplored(mapX, mapY, distance) {
+		if (this.explored === undefined || distance > this.exploreDistance) {
+			return;
+		}
+
+		let worldMap = this.scene.worldMap;
+		if (mapX < 0 || mapY < 0 ||
+			mapX >= worldMap.width || mapY >= worldMap.height) {
+			return;
+		}
+
+		this.explored[mapX + mapY * worldMap.width] = 1;
+	}
+
+	/*
+	checks if the ray crosses the plane of a thin wall inside the current 
+	cell, sets thinWallDistance, thinWallSide and wallX if it does
+	*/
+	castThinWall(thinWall) {
+		// start and direction components along and across the thin wall
+		let start;
+		let dir;
+		let startAlong;
+		let dirAlong;
+		let cell;
+		let cellAlong;
+
+		/*
+		a thin wall along the x axis is a plane where y is constant (it gets
+		hit on the y side), a thin wall along the y axis is the opposite
+		*/
+		if (thinWall.axis === "x") {
+			start = this.startY;
+			dir = this.dirY;
+			startAlong = this.startX;
+			dirAlong = this.dirX;
+			cell = this.mapY;
+			cellAlong = this.mapX;
+			this.thinWallSide = 1;
+		} else {
+			start = this.startX;
+			dir = this.dirX;
+			startAlong = this.startY;
+			dirAlong = this.dirY;
+			cell = this.mapX;
+			cellAlong = this.mapY;
+			this.thinWallSide = 0;
+		}
+
+		// a ray parallel to the thin wall can never hit it
+		if (dir === 0) return false;
+
+		// how far along the ray the plane of the thin wall is
+		let t = (cell + thinWall.offset - start) / dir;
+
+		// distances the ray entered and will leave the current cell
+		let entryDistance = this.side === 0 ?
+			this.sideDistX - this.deltaDistX :
+			this.sideDistY - this.deltaDistY;
+		let exitDistance = Math.min(this.sideDistX, this.sideDistY);
+
+		/*
+		the ray must cross the plane inside of the current cell, in front of
+		where the ray starts
+		*/
+		let distance = t * this.rayLength;
+		if (distance <= 0 ||
+			distance < entryDistance || distance > exitDistance) {
+			return false;
+		}
+
+		// where the plane was hit relative to the cell [0, 1)
+		let wallX = startAlong + t * dirAlong - cellAlong;
+
+		// the open part of the thin wall slides away, so rays pass through
+		if (wallX < thinWall.open) return false;
+
+		// the texture slides along with the thin wall
+		this.wallX = wallX - thinWall.open;
+		this.thinWallDistance = distance;
+
+		return true;
 	}
 }
 
@@ -2,18 +2,25 @@
 The Renderer namespace holds all the core math that actually renderes the 
 raycast world. There are several main functions, each of which can be used
 stand alone to render only a portion of the world. These functions include:
-renderWalls(), renderFloorCeiling(), renderEntities(), renderSkybox().
+renderWalls(), renderVoxelSpace(), renderFloorCeiling(), renderEntities(), 
+renderSkybox().
 */
 
 import {
 	Ray
 } from "/src/core/ray.js";
-import {
-	Texture
-} from "/src/resources/texture.js";
 import {
 	Color
 } from "/src/resources/color.js";
+import {
+	TextureRegion
+} from "/src/resources/textureRegion.js";
+import {
+	DirectionalSprite
+} from "/src/resources/directionalSprite.js";
+import {
+	AnimatedTexture
+} from "/src/resources/animatedTexture.js";
 import {
 	Vector
 } from "/src/math/vector.js";
@@ -32,8 +39,14 @@ import {
 
 let Renderer = {};
 
-// renders the walls of a scene
-Renderer.renderWalls = function(screen, scene, camera) {
+/*
+renders the walls of a scene, time (in seconds) is used to animate animated 
+textures
+*/
+Renderer.renderWalls = function(screen, scene, camera, time) {
+	// default to the start of any animations
+	time = time || 0;
+
 	/*
 	the ray we will be using to cast per column of the screen (use a temporary
 	direction). Pass the scene to the ray so it can have access to the worldMap
@@ -48,6 +61,30 @@ Renderer.renderWalls = function(screen, scene, camera) {
 		1
 	);
 
+	/*
+	if the world map has per cell floor or ceiling heights, a second ray
+	crosses every cell of the column to find the faces of the steps
+	*/
+	let stepRay = hasHeightLayers(scene) ?
+		new Ray(scene, camera.orientation.position.x,
+			camera.orientation.position.y, 0, 1, 1) :
+		undefined;
+
+	/*
+	the ray never hits the cell the camera is in, so if the camera is standing
+	on (or under) a wall its cap is drawn from the camera outwards
+	*/
+	let cameraCellInfo = getCameraCellInfo(scene, camera);
+
+	/*
+	mirrors and portals show the floor and ceiling behind them, so get what
+	the floor and ceiling look like at this time
+	*/
+	let planes = [
+		getPlaneInfo(scene, "floor", time),
+		getPlaneInfo(scene, "ceiling", time)
+	];
+
 	// for every column of the screen...
 	for (let x = 0; x < screen.renderWidth; x++) {
 		/*
@@ -67,6 +104,13 @@ Renderer.renderWalls = function(screen, scene, camera) {
 		let rayDirY = camera.orientation.direction.y * camera.focalLength +
 			camera.plane.y * screen.aspectRatio * cameraX;
 
+		/*
+		mark the cells the ray sees as explored (until the line of sight is
+		blocked or the render distance is reached)
+		*/
+		ray.explored = scene.worldMap.explored;
+		ray.exploreDistance = camera.renderDistance / camera.focalLength;
+
 		/*
 		initialize the ray with the correct direction (use a length of 1 in
 		order to avoid using a square root, and to calculate the perpendicular 
@@ -80,142 +124,235 @@ Renderer.renderWalls = function(screen, scene, camera) {
 			1
 		);
 
-		/*
-		save the last drawStart so we can check if further walls must be drawn 
-		(in this case, smallest means highest wall)
-		*/
-		let smallestDrawStart = Infinity;
+		// the whole column is seen from the camera
+		let segment = createSegment(
+			x,
+			camera.orientation.position.x,
+			camera.orientation.position.y,
+			rayDirX,
+			rayDirY,
+			screen.renderHeight
+		);
 
-		// keep casting the ray until it goes out of bounds
-		while (1) {
+		if (cameraCellInfo !== undefined) {
+			drawCap(
+				screen,
+				scene,
+				camera,
+				segment,
+				cameraCellInfo,
+				0,
+				Math.min(ray.sideDistX, ray.sideDistY),
+				time
+			);
+		}
 
-			// cast the ray
-			ray.cast();
+		castColumn(screen, scene, camera, ray, segment, time, planes);
 
-			// get a local refference to the information about the wall we hit
-			let wallInfo = scene.worldMap.cellInfo[ray.hit];
+		// draw the faces of the steps between cells of different heights
+		if (stepRay !== undefined) {
+			drawSteps(screen, scene, camera, stepRay, segment, time);
+		}
+	}
+};
 
-			/*
-			if the ray left the bounds of the map or exceeded the max render 
-			distance, continue casting the next ray
-			*/
-			if (ray.hit === 0 ||
-				ray.distance * camera.focalLength > camera.renderDistance) {
-				break;
-			}
+// how many times a ray can bounce off of mirrors (see cellInfo.reflective)
+Renderer.maxReflections = 4;
 
-			/*
-			if the hit cell isn't defined in the cellInfo struct, continue
-			casting the current ray
-			*/
-			if (wallInfo === undefined) {
-				continue;
-			}
+/*
+how many portals a ray can go through (see cellInfo.portals), portals further
+than that are drawn as regular faces
+*/
+Renderer.maxPortals = 8;
 
-			// get the projected column of the walls height
-			let verticalLine = projectLine(
-				screen,
-				camera,
-				wallInfo.height,
-				wallInfo.elevation,
-				ray.distance
-			);
+/*
+renders the heightmap terrain of a scene using the voxelspace algorithm, the
+terrain is drawn front to back one slice at a time, a slice being a line of 
+world points perpendicular to the camera direction
+*/
+Renderer.renderVoxelSpace = function(screen, scene, camera) {
+	// get a local refference to the terrain settings
+	let terrain = scene.terrain;
+	let heightmap = terrain.heightmap;
 
-			// calculate the lighting scalar for each color field
-			let lighting = calculateLighting(
-				scene,
-				camera,
-				ray.distance,
-				ray.side
-			);
+	// can't draw any terrain if the heightmap pixels don't exist yet
+	if (!heightmap.hasLoaded) return;
 
-			// get the appearance of the face we hit
-			let appearance = wallInfo.appearance[Ray.faces[ray.face]];
+	// grab the appearance of the terrain
+	let colormap = terrain.colormap;
 
-			// try to access the pixels of the appearance
-			let drawTexture = appearance.hasLoaded;
+	// set the colormap to a temporary color of the texture
+	if (colormap.hasLoaded === false) {
+		colormap = colormap.temporaryColor;
+	}
 
-			/*
-			if the pixel information for the texture doesn't exist, render a 
-			color instead
-			*/
-			if (!drawTexture) {
-				// the color we are going to use
-				let color;
-
-				/*
-				the color could be either from an unloaded texture or the 
-				appearance itself could be a color
-				*/
-				if (appearance instanceof Texture) {
-					color = appearance.temporaryColor;
-				} else {
-					color = appearance;
-				}
+	// done to avoid using instanceof operator in the nested loop
+	let colormapIsColor = colormap instanceof Color;
 
-				// draw the single colored column
-				drawColoredColumn(
-					screen,
-					x,
-					color,
-					verticalLine.start,
-					verticalLine.end,
-					ray.distance,
-					lighting
-				);
+	/*
+	the color of the terrain point being drawn (reused to avoid creating an
+	object for every point)
+	*/
+	let color = new Color(0, 0, 0, 255);
 
-			} else {
-				/*
-				the pixels array does exist, so calculate relavent variables 
-				for texture mapping
-				*/
-
-				// where exactly the wall was hit (depends on the side we hit)
-				let wallX;
-				if (ray.side === 0) {
-					wallX = camera.orientation.position.y +
-						ray.distance * rayDirY;
-				} else {
-					wallX = camera.orientation.position.x +
-						ray.distance * rayDirX;
-				}
+	// get local copies of screen width and height for convenience
+	let width = screen.renderWidth;
+	let height = screen.renderHeight;
 
-				// make wallX relative to the cell it hit
-				wallX -= Math.floor(wallX);
+	// the horizon row, calculated the same way projectLine calculates it
+	let horizon = height / 2 + Math.floor(camera.pitch);
 
-				// get the texture x coordinate for the column
-				let texX = Math.floor(wallX * appearance.width);
+	// the height of the camera
+	let cameraZ = camera.orientation.position.z;
 
-				/*
-				flip the texture X coordinate depending on the wall face we hit
-				*/
-				if (ray.side === 0 && rayDirX > 0) {
-					texX = appearance.width - texX - 1;
-				}
-				if (ray.side === 1 && rayDirY < 0) {
-					texX = appearance.width - texX - 1;
-				}
+	/*
+	holds the highest drawn row for every column of the screen, anything
+	below it is already covered by a closer slice of terrain
+	*/
+	let yBuffer = [];
+	for (let x = 0; x < width; x++) {
+		yBuffer[x] = height;
+	}
 
-				/*
-				draw the textured column (pass drawEnd - drawStart instead of 
-				lineHeight * wallHeight to avoid weird texturemapping bug)
-				*/
-				drawTexturedColumn(
-					screen,
-					x,
-					appearance,
-					texX,
-					verticalLine.start,
-					verticalLine.end,
-					ray.distance,
-					lighting
-				);
+	// get the initial components of the left and rightmost rays
+	let rayDirLX = camera.orientation.direction.x * camera.focalLength -
+		camera.plane.x * screen.aspectRatio * 0.5;
+	let rayDirLY = camera.orientation.direction.y * camera.focalLength -
+		camera.plane.y * screen.aspectRatio * 0.5;
+	let rayDirRX = camera.orientation.direction.x * camera.focalLength +
+		camera.plane.x * screen.aspectRatio * 0.5;
+	let rayDirRY = camera.orientation.direction.y * camera.focalLength +
+		camera.plane.y * screen.aspectRatio * 0.5;
+
+	/*
+	point lights change the lighting of every terrain point, the pixel 
+	lighting is reused to avoid creating an object for every point
+	*/
+	let hasLights = scene.lighting.lights.length !== 0;
+	let pixelLighting = copyLighting(noLighting);
+
+	// don't draw past the terrain draw distance or the camera render distance
+	let maxDistance = Math.min(terrain.drawDistance, camera.renderDistance);
+
+	// the distance of the first slice
+	let distance = terrain.stepSize;
+
+	// for every slice of terrain (closest first)...
+	while (distance < maxDistance) {
+		/*
+		transform the perpendicular distance of the slice from world space
+		to camera space (same units as the depth buffer)
+		*/
+		let depth = distance / camera.focalLength;
+
+		// the world coordinates of the leftmost point of the slice
+		let pointX = camera.orientation.position.x + rayDirLX * depth;
+		let pointY = camera.orientation.position.y + rayDirLY * depth;
+
+		// the delta step from one column of the slice to the next
+		let stepX = (rayDirRX - rayDirLX) * depth / width;
+		let stepY = (rayDirRY - rayDirLY) * depth / width;
+
+		// calculate the lighting of the slice to be drawn
+		let lighting = calculateLighting(scene, camera, depth);
+
+		// fade the slice towards the fog color
+		let fogAmount = getFogAmount(scene, camera, depth);
+		let sliceLighting = applyFog(
+			copyLighting(lighting),
+			scene,
+			fogAmount
+		);
+
+		// for every column of the screen...
+		for (let x = 0; x < width; x++) {
+			// the world coordinates of this point
+			let worldX = pointX;
+			let worldY = pointY;
+
+			// position of the point relative to one copy of the maps [0, 1)
+			let u = worldX / terrain.cellWidth;
+			let v = worldY / terrain.cellHeight;
+			u -= Math.floor(u);
+			v -= Math.floor(v);
+
+			// step to the next point of the slice
+			pointX += stepX;
+			pointY += stepY;
+
+			// nothing left to draw in this column
+			if (yBuffer[x] <= 0) continue;
+
+			// sample the height of the terrain at this point (red channel)
+			let heightIndex = (Math.floor(u * heightmap.width) +
+				Math.floor(v * heightmap.height) * heightmap.width) * 4;
+			let pointZ = terrain.elevation + heightmap.pixels[heightIndex] /
+				255 * terrain.height;
+
+			// project the top of the terrain onto the screen
+			let top = Math.floor(horizon - (pointZ - cameraZ) / depth * height);
+
+			// this point is hidden by closer terrain
+			if (top >= yBuffer[x]) continue;
+
+			// get the color of the terrain at this point
+			if (colormapIsColor) {
+				color.red = colormap.red;
+				color.green = colormap.green;
+				color.blue = colormap.blue;
+			} else {
+				let colorIndex = (Math.floor(u * colormap.width) +
+					Math.floor(v * colormap.height) * colormap.width) * 4;
+				color.red = colormap.pixels[colorIndex];
+				color.green = colormap.pixels[colorIndex + 1];
+				color.blue = colormap.pixels[colorIndex + 2];
 			}
+
+			// add the point lights at the top of the terrain
+			let pointLighting = sliceLighting;
+			if (hasLights) {
+				copyLighting(lighting, pixelLighting);
+				addPointLights(pixelLighting, scene, worldX, worldY, pointZ);
+				applyFog(pixelLighting, scene, fogAmount);
+				pointLighting = pixelLighting;
+			}
+
+			// draw the column from the top of the terrain to the last top
+			drawColoredColumn(
+				screen,
+				x,
+				color,
+				top,
+				yBuffer[x],
+				depth,
+				pointLighting
+			);
+
+			// everything below the top of this point is now covered
+			yBuffer[x] = top;
 		}
+
+		// step to the next slice, slices get further apart with distance
+		distance += terrain.stepSize * Math.max(distance, 1);
 	}
 };
 
-Renderer.renderFloorCeiling = function(screen, scene, camera) {
+/*
+renders the floor and ceiling planes of a scene, time (in seconds) is used to
+animate animated textures. If the world map has per cell floor or ceiling
+heights (see worldMap.floorHeight and worldMap.ceilingHeight) each cell is
+drawn at its own height, one column of the screen at a time
+*/
+Renderer.renderFloorCeiling = function(screen, scene, camera, time) {
+	// default to the start of any animations
+	time = time || 0;
+
+	// planes with per cell heights can't be drawn one row at a time
+	if (hasHeightLayers(scene)) {
+		renderFloorCeilingColumns(screen, scene, camera, time);
+		return;
+	}
+
 	// get local copies of screen width and height for convenience
 	let height = screen.renderHeight;
 	let width = screen.renderWidth;
@@ -239,25 +376,22 @@ Renderer.renderFloorCeiling = function(screen, scene, camera) {
 	if (rowEnd > height) rowEnd = height;
 	if (rowEnd < 0) rowEnd = 0;
 
-	// a local refference to the appearance of the floor / ceiling
-	let floorAppearance = scene.floor.appearance;
-	let ceilingAppearance = scene.ceiling.appearance;
+	// how far the floor / ceiling have scrolled if they are animated
+	let floorScroll = getScrollOffset(scene.floor.appearance, time);
+	let ceilingScroll = getScrollOffset(scene.ceiling.appearance, time);
 
 	/*
-	if the floor is an unloaded texture, set the appearance to the temporary 
-	color
+	get what the floor / ceiling look like at this time (animated textures 
+	become their current frame, unloaded textures their temporary color)
 	*/
-	if (scene.floor.appearance.hasLoaded === false) {
-		floorAppearance = scene.floor.appearance.temporaryColor;
-	}
+	let floorAppearance = resolveAppearance(scene.floor.appearance, time);
+	let ceilingAppearance = resolveAppearance(scene.ceiling.appearance, time);
 
-	/*
-	if the ceiling is an unloaded texture, set the appearance to the temporary 
-	color
-	*/
-	if (scene.ceiling.appearance.hasLoaded === false) {
-		ceilingAppearance = scene.ceiling.appearance.temporaryColor;
-	}
+	// do the same for the appearances of the per cell layers (if any)
+	let floorLayerInfo = scene.worldMap.floor === undefined ? undefined :
+		resolveLayerInfo(scene.worldMap.floorInfo, time);
+	let ceilingLayerInfo = scene.worldMap.ceiling === undefined ? undefined :
+		resolveLayerInfo(scene.worldMap.ceilingInfo, time);
 
 	// get the initial components of the left and rightmost rays
 	let rayDirLX = camera.orientation.direction.x * camera.focalLength -
@@ -269,6 +403,13 @@ Renderer.renderFloorCeiling = function(screen, scene, camera) {
 	let rayDirRY = camera.orientation.direction.y * camera.focalLength +
 		camera.plane.y * screen.aspectRatio * 0.5;
 
+	/*
+	point lights change the lighting of every pixel, the pixel lighting is 
+	reused to avoid creating an object for every pixel
+	*/
+	let hasLights = scene.lighting.lights.length !== 0;
+	let pixelLighting = copyLighting(noLighting);
+
 	// for every row of the screen...
 	for (let y = rowStart; y < rowEnd; y++) {
 		// check if this pixel is on the floor or the ceiling
@@ -276,10 +417,15 @@ Renderer.renderFloorCeiling = function(screen, scene, camera) {
 
 		// texture / color going to be rendered by inner loop
 		let appearance = isFloor ? floorAppearance : ceilingAppearance;
+		let scroll = isFloor ? floorScroll : ceilingScroll;
 
 		// done to avoid using instanceof operator in the nested loop
 		let appearanceIsColor = appearance instanceof Color;
 
+		// the per cell layer of the plane and its appearances (if any)
+		let layer = isFloor ? scene.worldMap.floor : scene.worldMap.ceiling;
+		let layerInfo = isFloor ? floorLayerInfo : ceilingLayerInfo;
+
 		// stretch factor of the appearance
 		let cellWidth = isFloor ?
 			scene.floor.cellWidth :
@@ -319,7 +465,18 @@ Renderer.renderFloorCeiling = function(screen, scene, camera) {
 		let floorY = camera.orientation.position.y + rayDirLY * rowDistance;
 
 		// calculate the lighting of the row to be drawn
-		let lighting = calculateLighting(scene, camera, rowDistance);
+		let rowLighting = calculateLighting(scene, camera, rowDistance);
+
+		// fade the row towards the fog color
+		let fogAmount = getFogAmount(scene, camera, rowDistance);
+		let foggedRowLighting = applyFog(
+			copyLighting(rowLighting),
+			scene,
+			fogAmount
+		);
+
+		// the height of the plane in world space (used for point lights)
+		let planeZ = isFloor ? 0 : scene.ceiling.height;
 
 		// for every horizontal pixel in this row...
 		for (let x = 0; x < screen.renderWidth; x++) {
@@ -334,49 +491,61 @@ Renderer.renderFloorCeiling = function(screen, scene, camera) {
 				continue;
 			}
 
-			// the color we will be drawing, will be decided by the code below
-			let red;
-			let green;
-			let blue;
-			let alpha;
-
-			if (appearanceIsColor) {
-				/*
-				if the appearance is a color, simply set red, green, blue, 
-				alpha to appearance attributes
-				*/
-				red = Math.floor(appearance.red * lighting.r);
-				green = Math.floor(appearance.green * lighting.g);
-				blue = Math.floor(appearance.blue * lighting.b);
-				alpha = 255;
-			} else {
-				/*
-				if the appearance is a texture, get the texture coordinates of 
-				the color to draw texture coordinates
-				*/
-				let tx = Math.floor(appearance.width *
-					Math.abs(floorX % cellWidth / cellWidth));
-				let ty = Math.floor(appearance.height *
-					Math.abs(floorY % cellHeight / cellHeight));
-
-				// 1 dimentional index of the texture pixel to use
-				let texIndex = (tx + ty * appearance.width) * 4;
-
-				// get the color from the pixels array
-				red = Math.floor(appearance.pixels[texIndex] *
-					lighting.r);
-				green = Math.floor(appearance.pixels[texIndex + 1] *
-					lighting.g);
-				blue = Math.floor(appearance.pixels[texIndex + 2] *
-					lighting.b);
-				alpha = 255;
+			// the appearance of the cell this pixel lies in
+			let cellAppearance = appearance;
+			let cellAppearanceIsColor = appearanceIsColor;
+			let cellScroll = scroll;
+
+			// look up the cell under this pixel if the plane has a layer
+			if (layer !== undefined) {
+				let cellX = Math.floor(floorX);
+				let cellY = Math.floor(floorY);
+
+				// cells outside of the map use the plane's appearance
+				if (cellX >= 0 &&
+					cellY >= 0 &&
+					cellX < scene.worldMap.width &&
+					cellY < scene.worldMap.height) {
+					let id = layer[cellX + cellY * scene.worldMap.width];
+
+					// don't draw open sky, the skybox shows through instead
+					if (id === Scene.skyCell) {
+						floorX += floorStepX;
+						floorY += floorStepY;
+						continue;
+					}
+
+					// use the appearance mapped to the cell's id
+					if (layerInfo[id] !== undefined) {
+						cellAppearance = layerInfo[id].appearance;
+						cellAppearanceIsColor = layerInfo[id].isColor;
+						cellScroll = layerInfo[id].scroll;
+					}
+				}
+			}
+
+			// the lighting of this pixel starts as the lighting of the row
+			let lighting = foggedRowLighting;
+
+			// add the point lights at this pixel of the plane
+			if (hasLights) {
+				copyLighting(rowLighting, pixelLighting);
+				addPointLights(pixelLighting, scene, floorX, floorY, planeZ);
+				applyFog(pixelLighting, scene, fogAmount);
+				lighting = pixelLighting;
 			}
 
 			// draw the color
-			screen.pixels[index * 4] = red;
-			screen.pixels[index * 4 + 1] = green;
-			screen.pixels[index * 4 + 2] = blue;
-			screen.pixels[index * 4 + 3] = alpha;
+			drawPlanePixel(
+				screen,
+				index,
+				cellAppearance,
+				cellAppearanceIsColor,
+				cellScroll,
+				floorX / cellWidth,
+				floorY / cellHeight,
+				lighting
+			);
 
 			// increment the world coodinate for the next pixel
 			floorX += floorStepX;
@@ -388,7 +557,18 @@ Renderer.renderFloorCeiling = function(screen, scene, camera) {
 	}
 };
 
-Renderer.renderEntities = function(screen, scene, camera) {
+/*
+renders the entities of a scene, time (in seconds) is used to animate animated
+textures. Opaque entities are drawn first, then entities with partial alpha 
+are blended over everything from back to front
+*/
+Renderer.renderEntities = function(screen, scene, camera, time) {
+	// default to the start of any animations
+	time = time || 0;
+
+	// entities with partial alpha must be drawn after every opaque entity
+	let partialAlphaEntities = [];
+
 	// for every entity in the scene...
 	for (let i = 0; i < scene.gameObject.entities.length; i++) {
 		let entity = scene.gameObject.entities[i];
@@ -396,135 +576,25 @@ Renderer.renderEntities = function(screen, scene, camera) {
 		// don't draw the entity if it is invisible
 		if (!entity.isVisible) continue;
 
-		// get entity position relative to camera position
-		let entityX = entity.orientation.position.x -
-			camera.orientation.position.x;
-		let entityY = entity.orientation.position.y -
-			camera.orientation.position.y;
-
-		// y basis vector for camera space
-		let dirX = camera.orientation.direction.x * camera.focalLength;
-		let dirY = camera.orientation.direction.y * camera.focalLength;
-
-		// x basis vector for camera space
-		let planeX = camera.plane.x * screen.aspectRatio / 2;
-		let planeY = camera.plane.y * screen.aspectRatio / 2;
-
-		/*
-		derotate the relative position of the entity (brings entity position
-		in camera space) do this by multiplying the vector (entityX, entityY)
-		by the inverse matrix of the camera matrix (whose basis vectors are its
-		direction and camera plane)
-		*/
-		let invDet = 1 / (camera.plane.x * screen.aspectRatio / 2 * dirY -
-			dirX * camera.plane.y * screen.aspectRatio / 2);
-
-		// x coordinate of the entity relative to the camera's orientation
-		let transformX = invDet * (dirY * entityX - dirX * entityY);
-
-		// y coordinate of the entity relative to the camera's orientation
-		let transformY = invDet * (-planeY * entityX + planeX * entityY);
-
-		/*
-		don't draw the sprite if it is behind the camera or beyond its max
-		render distance
-		*/
-		if (transformY < 0 ||
-			transformY * camera.focalLength > camera.renderDistance) continue;
-
-		// x coordinate of center of the projected entity in pixel coordinates
-		let entityScreenX = (transformX / transformY + 1) / 2 *
-			screen.renderWidth;
-
-		// width of the projected entity on screen
-		let entityWidth = (entity.size.x / transformY) * screen.renderWidth /
-			screen.aspectRatio;
-
-		// column of the screen to start drawing at
-		let drawStartX = Math.floor(entityScreenX - entityWidth / 2);
-
-		// column of the screen to stop drawing at
-		let drawEndX = Math.floor(entityScreenX + entityWidth / 2);
-
-		// constrained drawStartX to bounds of screen
-		let columnStart = drawStartX;
-
-		if (columnStart < 0) {
-			columnStart = 0;
-		} else if (columnStart > screen.renderWidth) {
-			columnStart = screen.renderWidth;
-		}
-
-		// constrained drawEndX to bounds of screen
-		let columnEnd = drawEndX;
-
-		if (columnEnd < 0) {
-			columnEnd = 0;
-		} else if (columnEnd > screen.renderWidth) {
-			columnEnd = screen.renderWidth;
-		}
-
-		// get the projected column of the sprites height
-		let verticalLine = projectLine(
-			screen,
-			camera,
-			entity.size.y,
-			entity.orientation.position.z,
-			transformY
-		);
-
-		// whether or not the appearance is a color
-		let appearanceIsColor = false;
-
-		// check whether the appearance is a color or not
-		if (entity.appearance instanceof Color) {
-			appearanceIsColor = true;
-		} else if (entity.appearance.hasLoaded === false) {
-			appearanceIsColor = true;
+		// save entities with partial alpha for later
+		if (entity.hasPartialAlpha) {
+			partialAlphaEntities.push(entity);
+			continue;
 		}
 
-		// calculate the lighting scalar for the sprite
-		let lighting = entity.affectedByLighting ?
-			calculateLighting(scene, camera, transformY) : {
-				r: 1,
-				g: 1,
-				b: 1
-			};
-
-		for (let x = columnStart; x < columnEnd; x++) {
-			// if the appearance is a color, draw a single colored rectangle
-			if (appearanceIsColor) {
-				drawColoredColumn(
-					screen,
-					x,
-					entity.appearance,
-					verticalLine.start,
-					verticalLine.end,
-					transformY,
-					lighting
-				);
-				continue;
-			}
+		drawEntity(screen, scene, camera, entity, time);
+	}
 
-			/*
-			the column of the entity texture will be used to render this column
-			of the entity
-			*/
-			let texX = Math.floor((x - drawStartX) / (drawEndX - drawStartX) *
-				entity.appearance.width);
+	/*
+	sort the entities with partial alpha from furthest to closest, so each
+	one blends with the entities behind it
+	*/
+	partialAlphaEntities.sort(function(a, b) {
+		return getEntityDepth(camera, b) - getEntityDepth(camera, a);
+	});
 
-			// draw the textured column
-			drawTexturedColumn(
-				screen,
-				x,
-				entity.appearance,
-				texX,
-				verticalLine.start,
-				verticalLine.end,
-				transformY,
-				lighting
-			);
-		}
+	for (let i = 0; i < partialAlphaEntities.length; i++) {
+		drawEntity(screen, scene, camera, partialAlphaEntities[i], time);
 	}
 };
 
@@ -532,45 +602,38 @@ Renderer.renderEntities = function(screen, scene, camera) {
 renders a skybox for the raycast world, this function should be executed
 before any of the others 
 */
-Renderer.renderSkybox = function(screen, scene, camera) {
+Renderer.renderSkybox = function(screen, scene, camera, time) {
+	// default to the start of any animations
+	time = time || 0;
 
-	// grab the appearance of the skybox
-	let appearance = scene.skybox.appearance;
+	// how far an animated skybox has scrolled at this time
+	let scroll = getScrollOffset(scene.skybox.appearance, time);
 
-	// set the appearance to a temporary color of the texture
-	if (appearance.hasLoaded === false) {
-		appearance = appearance.temporaryColor;
-	}
+	/*
+	grab the appearance of the skybox at this time (animated textures become
+	their current frame, unloaded textures become their temporary color)
+	*/
+	let appearance = resolveAppearance(scene.skybox.appearance, time);
 
 	// calculate the end of our skybox (where the skybox meets the ground)
 	let horizon = Math.floor(screen.renderHeight / 2 + camera.pitch);
 
-	// if the skybox appearance is a color, draw a rectangle of that color
+	// if the skybox appearance is a color, fill every row above the horizon
 	if (appearance instanceof Color) {
-		// save the current state of the context
-		screen.drawingContext.save();
-
-		// set the fill style to the color of the skybox
-		screen.drawingContext.fillStyle = `rgb(
-			${appearance.red * scene.lighting.ambientLight}, 
-			${appearance.green * scene.lighting.ambientLight}, 
-			${appearance.blue * scene.lighting.ambientLight}
-		)`;
-
-		// draw the rectangle
-		screen.drawingContext.fillRect(
-			0,
-			0,
-			screen.renderWidth,
-			horizon
-		);
-
-		// put the drawing context back to how it was before drawing the skybox
-		screen.drawingContext.restore();
-
-		// update the screen's pixels array
-		screen.setPixels();
-	} else if (appearance instanceof Texture) {
+		let red = Math.floor(appearance.red * scene.lighting.ambientLight);
+		let green = Math.floor(appearance.green * scene.lighting.ambientLight);
+		let blue = Math.floor(appearance.blue * scene.lighting.ambientLight);
+
+		// the horizon can be above or below the screen when the camera pitches
+		let rowEnd = Math.min(Math.max(horizon, 0), screen.renderHeight);
+
+		for (let i = 0; i < rowEnd * screen.renderWidth; i++) {
+			screen.pixels[i * 4] = red;
+			screen.pixels[i * 4 + 1] = green;
+			screen.pixels[i * 4 + 2] = blue;
+			screen.pixels[i * 4 + 3] = 255;
+		}
+	} else {
 		// draw an image for the skybox
 
 		let ray = new Ray(
@@ -650,7 +713,8 @@ Renderer.renderSkybox = function(screen, scene, camera) {
 			/*
 			get the texture column to use (stretch the width across four walls)
 			*/
-			let texX = Math.floor(wallX * appearance.width / 4);
+			let texX = Math.floor((wallX / 4 + scroll.x) % 1 *
+				appearance.width);
 
 			// project the height of the skybox texture onto the screen
 			let columnHeight = Math.floor(appearance.height / perpWallDist);
@@ -667,17 +731,32 @@ Renderer.renderSkybox = function(screen, scene, camera) {
 				{
 					r: light,
 					g: light,
-					b: light
-				}
+					b: light,
+					fogR: 0,
+					fogG: 0,
+					fogB: 0
+				},
+				scroll.y * appearance.height
 			);
 		}
 	}
+
+	// cover the horizon of the skybox with fog
+	if (scene.lighting.fog.enabled && scene.lighting.fog.skybox) {
+		drawSkyboxFog(screen, scene, horizon);
+	}
 };
 
 
 
-// renders every part of the scene (walls, floors, sprites, etc.)
-Renderer.render = function(screen, scene, camera) {
+/*
+renders every part of the scene (walls, floors, sprites, etc.), time is the 
+time in seconds used to animate animated textures (e.g. performance.now() / 
+1000), it is optional. timings is also optional, if an object is provided the
+time in milliseconds each pass took is stored in its skybox, walls, terrain,
+floorCeiling and entities attributes (passes that were skipped take 0)
+*/
+Renderer.render = function(screen, scene, camera, time, timings) {
 
 	// check if the screen received is the valid type
 	if (!(screen instanceof Screen)) {
@@ -703,31 +782,90 @@ Renderer.render = function(screen, scene, camera) {
 		);
 	}
 
+	// check if the time received is valid
+	if (time !== undefined && typeof time !== "number") {
+		throw new Error(
+			"Failed to render scene: fourth argument passed to " +
+			"Renderer.render was not a number"
+		);
+	}
+
+	// check if the timings received are valid
+	if (timings !== undefined && (typeof timings !== "object" ||
+		timings === null)) {
+		throw new Error(
+			"Failed to render scene: fifth argument passed to " +
+			"Renderer.render was not an object"
+		);
+	}
+
+	// the pass that is being timed, and when it started
+	let pass;
+	let passStart;
+
+	// starts timing a pass (ending the pass before it)
+	let startPass = function(name) {
+		if (timings === undefined) return;
+
+		let now = performance.now();
+		if (pass !== undefined) timings[pass] = now - passStart;
+
+		pass = name;
+		passStart = now;
+	};
+
+	// every pass takes 0 milliseconds until it is timed
+	if (timings !== undefined) {
+		for (let i = 0; i < Renderer.passes.length; i++) {
+			timings[Renderer.passes[i]] = 0;
+		}
+	}
+
 	// only render the skybox if it is enabled
 	if (scene.skybox.enabled) {
-		Renderer.renderSkybox(screen, scene, camera);
+		startPass("skybox");
+		Renderer.renderSkybox(screen, scene, camera, time);
 	}
 
 	/*
 	only render the walls if there is a provided world map array and cellInfo 
-	object 
+	object (or per cell heights, which have step faces)
 	*/
 	if (scene.worldMap.data.length !== 0 &&
-		Object.keys(scene.worldMap.cellInfo).length !== 0) {
-		Renderer.renderWalls(screen, scene, camera);
+		(Object.keys(scene.worldMap.cellInfo).length !== 0 ||
+		hasHeightLayers(scene))) {
+		startPass("walls");
+		Renderer.renderWalls(screen, scene, camera, time);
 	}
 
-	// only render entities if there is at least one entity
-	if (scene.gameObject.entities.length !== 0) {
-		Renderer.renderEntities(screen, scene, camera);
+	// only render the terrain if it has a heightmap
+	if (scene.terrain.enabled) {
+		startPass("terrain");
+		Renderer.renderVoxelSpace(screen, scene, camera);
 	}
 
 	// only render the floor and ceiling if at least one is enabled
 	if (scene.floor.enabled === true || scene.ceiling.enabled === true) {
-		Renderer.renderFloorCeiling(screen, scene, camera);
+		startPass("floorCeiling");
+		Renderer.renderFloorCeiling(screen, scene, camera, time);
+	}
+
+	/*
+	only render entities if there is at least one entity, entities are drawn
+	after all other geometry so entities with partial alpha can blend with it
+	*/
+	if (scene.gameObject.entities.length !== 0) {
+		startPass("entities");
+		Renderer.renderEntities(screen, scene, camera, time);
 	}
+
+	// end the timing of the last pass
+	startPass(undefined);
 };
 
+// the names of the passes Renderer.render times (in the order they're drawn)
+Renderer.passes = ["skybox", "walls", "terrain", "floorCeiling", "entities"];
+
 export {
 	Renderer
 };
@@ -775,11 +913,7 @@ function calculateLighting(scene, camera, depth, side) {
 	if lighting is disabled, return a 1 for all color feilds (no change in
 	color)
 	*/
-	if (!scene.lighting.enabled) return {
-		r: 1,
-		g: 1,
-		b: 1
-	};
+	if (!scene.lighting.enabled) return copyLighting(noLighting);
 
 	/*
 	Transform the depth from camera space to world space by 
@@ -804,51 +938,1910 @@ function calculateLighting(scene, camera, depth, side) {
 		lighting -= scene.lighting.sideShade;
 	}
 
-	// return an object containing lighting scalars for each rgb channel
+	/*
+	return an object containing lighting scalars for each rgb channel (and the
+	color fog adds to each channel, see applyFog)
+	*/
 	return {
 		r: lighting * camera.lighting.color.red / 255,
 		g: lighting * camera.lighting.color.green / 255,
-		b: lighting * camera.lighting.color.blue / 255
+		b: lighting * camera.lighting.color.blue / 255,
+		fogR: 0,
+		fogG: 0,
+		fogB: 0
 	};
 }
 
-// draws a vertical line of one color
-function drawColoredColumn(
-	screen,
-	x,
-	color,
-	startY,
-	endY,
-	depth,
-	lighting
-) {
+/*
+draws a single entity, entities with partial alpha are blended with what is 
+already on the screen (and don't write to the depth buffer)
+*/
+function drawEntity(screen, scene, camera, entity, time) {
+	let projection = projectEntity(
+		screen,
+		scene,
+		camera,
+		entity,
+		time,
+		identityTransform
+	);
 
-	// don't draw the color if it isn't fully visible
-	if (color.alpha !== 255) {
-		return;
+	// the entity is behind the camera or too far away to be seen
+	if (projection === undefined) return;
+
+	for (let x = projection.columnStart; x < projection.columnEnd; x++) {
+		drawEntityColumn(screen, projection, x);
 	}
+}
+
+/*
+projects an entity onto the screen, transform moves where the entity is seen
+(see createSegment, entities seen in an odd number of mirrors are flipped).
+Returns an object with everything needed to draw a column of the entity (see
+drawEntityColumn), or undefined if the entity is behind the camera or beyond
+its max render distance
+*/
+function projectEntity(screen, scene, camera, entity, time, transform) {
+	// where the entity is seen
+	let positionX = entity.orientation.position.x * transform.xx +
+		entity.orientation.position.y * transform.xy + transform.offsetX;
+	let positionY = entity.orientation.position.x * transform.yx +
+		entity.orientation.position.y * transform.yy + transform.offsetY;
+
+	// get entity position relative to camera position
+	let entityX = positionX - camera.orientation.position.x;
+	let entityY = positionY - camera.orientation.position.y;
+
+	// y basis vector for camera space
+	let dirX = camera.orientation.direction.x * camera.focalLength;
+	let dirY = camera.orientation.direction.y * camera.focalLength;
+
+	// x basis vector for camera space
+	let planeX = camera.plane.x * screen.aspectRatio / 2;
+	let planeY = camera.plane.y * screen.aspectRatio / 2;
 
 	/*
-	constrain start and end coordinates to be within the bounds of the screen
+	derotate the relative position of the entity (brings entity position
+	in camera space) do this by multiplying the vector (entityX, entityY)
+	by the inverse matrix of the camera matrix (whose basis vectors are its
+	direction and camera plane)
 	*/
-	if (startY < 0) startY = 0;
-	if (endY > screen.renderHeight) endY = screen.renderHeight;
+	let invDet = 1 / (camera.plane.x * screen.aspectRatio / 2 * dirY -
+		dirX * camera.plane.y * screen.aspectRatio / 2);
 
-	// for every y pixel in the x column between startY and endY...
-	for (let y = startY; y < endY; y++) {
-		// 1d index of the current pixel
-		let index = x + y * screen.renderWidth;
+	// x coordinate of the entity relative to the camera's orientation
+	let transformX = invDet * (dirY * entityX - dirX * entityY);
 
-		// don't draw the color if there is something closer to the camera
-		if (depth !== -1 && screen.depthBuffer[index] < depth) continue;
+	// y coordinate of the entity relative to the camera's orientation
+	let transformY = invDet * (-planeY * entityX + planeX * entityY);
+
+	/*
+	don't draw the sprite if it is behind the camera or beyond its max
+	render distance
+	*/
+	if (transformY < 0 ||
+		transformY * camera.focalLength > camera.renderDistance) {
+		return undefined;
+	}
+
+	// x coordinate of center of the projected entity in pixel coordinates
+	let entityScreenX = (transformX / transformY + 1) / 2 *
+		screen.renderWidth;
+
+	// width of the projected entity on screen
+	let entityWidth = (entity.size.x / transformY) * screen.renderWidth /
+		screen.aspectRatio;
+
+	// column of the screen to start drawing at
+	let drawStartX = Math.floor(entityScreenX - entityWidth / 2);
+
+	// column of the screen to stop drawing at
+	let drawEndX = Math.floor(entityScreenX + entityWidth / 2);
+
+	// constrained drawStartX to bounds of screen
+	let columnStart = drawStartX;
+
+	if (columnStart < 0) {
+		columnStart = 0;
+	} else if (columnStart > screen.renderWidth) {
+		columnStart = screen.renderWidth;
+	}
+
+	// constrained drawEndX to bounds of screen
+	let columnEnd = drawEndX;
+
+	if (columnEnd < 0) {
+		columnEnd = 0;
+	} else if (columnEnd > screen.renderWidth) {
+		columnEnd = screen.renderWidth;
+	}
+
+	// get the projected column of the sprites height
+	let verticalLine = projectLine(
+		screen,
+		camera,
+		entity.size.y,
+		entity.orientation.position.z,
+		transformY
+	);
+
+	// the appearance that will be drawn for this entity
+	let appearance = entity.appearance;
+
+	/*
+	directional sprites draw the view that faces the camera, so get the 
+	angle from the entity's direction to the camera
+	*/
+	if (appearance instanceof DirectionalSprite) {
+		let direction = entity.orientation.direction;
+		let viewAngle = Math.atan2(-entityY, -entityX) -
+			Math.atan2(
+				direction.x * transform.yx + direction.y * transform.yy,
+				direction.x * transform.xx + direction.y * transform.xy
+			);
+		appearance = appearance.getView(viewAngle);
+	}
+
+	// how far an animated texture has scrolled at this time
+	let scroll = getScrollOffset(appearance, time);
+
+	/*
+	get what to draw at this time (animated textures become their current
+	frame, unloaded textures become their temporary color)
+	*/
+	appearance = resolveAppearance(appearance, time);
+
+	// whether or not the appearance is a color
+	let appearanceIsColor = appearance instanceof Color;
+
+	// calculate the lighting scalar for the sprite
+	let lighting = entity.affectedByLighting ?
+		calculateLighting(scene, camera, transformY) :
+		copyLighting(noLighting);
+
+	// add the point lights at the center of the sprite
+	if (entity.affectedByLighting) {
+		addPointLights(
+			lighting,
+			scene,
+			entity.orientation.position.x,
+			entity.orientation.position.y,
+			entity.orientation.position.z + entity.size.y / 2
+		);
+	}
+
+	// the tint multiplies the colors of the sprite
+	if (entity.tint !== undefined) {
+		lighting.r *= entity.tint.red / 255;
+		lighting.g *= entity.tint.green / 255;
+		lighting.b *= entity.tint.blue / 255;
+	}
+
+	// fade the sprite towards the fog color
+	applyFog(lighting, scene, getFogAmount(scene, camera, transformY));
+
+	/*
+	entities with partial alpha get blended, the alpha of the tint scales 
+	how opaque the whole sprite is
+	*/
+	let opacity;
+	if (entity.hasPartialAlpha) {
+		opacity = entity.tint === undefined ? 1 : entity.tint.alpha / 255;
+	}
+
+	return {
+		depth: transformY,
+		drawStartX: drawStartX,
+		drawEndX: drawEndX,
+		columnStart: columnStart,
+		columnEnd: columnEnd,
+		verticalLine: verticalLine,
+		appearance: appearance,
+		appearanceIsColor: appearanceIsColor,
+		scroll: scroll,
+		lighting: lighting,
+		opacity: opacity,
+		isFlipped: transform.xx * transform.yy - transform.xy * transform.yx < 0
+	};
+}
+
+/*
+draws one column of a projected entity (see projectEntity), clip is optional
+and limits the rows that can be drawn to (see drawColoredColumn)
+*/
+function drawEntityColumn(screen, projection, x, clip) {
+	let appearance = projection.appearance;
+
+	// if the appearance is a color, draw a single colored rectangle
+	if (projection.appearanceIsColor) {
+		drawColoredColumn(
+			screen,
+			x,
+			appearance,
+			projection.verticalLine.start,
+			projection.verticalLine.end,
+			projection.depth,
+			projection.lighting,
+			projection.opacity,
+			clip
+		);
+		return;
+	}
+
+	/*
+	the column of the entity texture will be used to render this column
+	of the entity
+	*/
+	let texX = Math.floor(((x - projection.drawStartX) /
+		(projection.drawEndX - projection.drawStartX) +
+		projection.scroll.x) % 1 * appearance.width);
+
+	// mirror images are flipped
+	if (projection.isFlipped) texX = appearance.width - texX - 1;
+
+	// draw the textured column
+	drawTexturedColumn(
+		screen,
+		x,
+		appearance,
+		texX,
+		projection.verticalLine.start,
+		projection.verticalLine.end,
+		projection.depth,
+		projection.lighting,
+		projection.scroll.y * appearance.height,
+		projection.opacity,
+		clip
+	);
+}
+
+/*
+gets the depth of an entity along the camera direction (used to sort entities
+from back to front)
+*/
+function getEntityDepth(camera, entity) {
+	return (entity.orientation.position.x - camera.orientation.position.x) *
+		camera.orientation.direction.x +
+		(entity.orientation.position.y - camera.orientation.position.y) *
+		camera.orientation.direction.y;
+}
+
+// the scroll offset of appearances that don't scroll
+const noScroll = {
+	x: 0,
+	y: 0
+};
+
+/*
+gets what an appearance looks like at some time, animated textures become 
+their current frame, and textures that haven't loaded yet become their 
+temporary color
+*/
+function resolveAppearance(appearance, time) {
+	if (appearance instanceof AnimatedTexture) {
+		appearance = appearance.getFrame(time);
+	}
+
+	if (appearance.hasLoaded === false) {
+		return appearance.temporaryColor;
+	}
+
+	return appearance;
+}
+
+/*
+gets how far the texture coordinates of an appearance have scrolled at some 
+time (only animated textures scroll)
+*/
+function getScrollOffset(appearance, time) {
+	if (appearance instanceof AnimatedTexture) {
+		return appearance.getScrollOffset(time);
+	}
+
+	return noScroll;
+}
+
+/*
+resolves every appearance of a floor / ceiling layer's info object once, so 
+the per pixel loop only has to look them up
+*/
+function resolveLayerInfo(layerInfo, time) {
+	let resolved = {};
+
+	for (const id in layerInfo) {
+		let appearance = resolveAppearance(layerInfo[id], time);
+		resolved[id] = {
+			appearance: appearance,
+			isColor: appearance instanceof Color,
+			scroll: getScrollOffset(layerInfo[id], time)
+		};
+	}
+
+	return resolved;
+}
+
+/*
+gets the index into the pixels array of a texture or texture region for some 
+texture coordinates
+*/
+function getTexelIndex(texture, texX, texY) {
+	// regions are offset into the pixel array of a larger texture
+	if (texture instanceof TextureRegion) {
+		return (texture.x + texX +
+			(texture.y + texY) * texture.texture.width) * 4;
+	}
+
+	return (texX + texY * texture.width) * 4;
+}
+
+/*
+gets the frame appearance of the thin wall in the cell the ray just came from,
+returns undefined if that cell isn't a thin wall with a frame, or the face hit
+isn't beside the thin wall
+*/
+function getThinWallFrame(scene, ray) {
+	// the cell the ray was in before it hit the current cell
+	let cellX = ray.side === 0 ? ray.mapX - ray.stepX : ray.mapX;
+	let cellY = ray.side === 1 ? ray.mapY - ray.stepY : ray.mapY;
+
+	// check if the cell is in the bounds of the map
+	if (cellX < 0 ||
+		cellY < 0 ||
+		cellX >= scene.worldMap.width ||
+		cellY >= scene.worldMap.height) {
+		return undefined;
+	}
+
+	// get the information about the cell the ray came from
+	let cellInfo = scene.worldMap.cellInfo[
+		scene.worldMap.data[cellX + cellY * scene.worldMap.width]
+	];
+
+	if (cellInfo === undefined || cellInfo.thinWall === undefined) {
+		return undefined;
+	}
+
+	/*
+	the frame is on the faces perpendicular to the thin wall, a thin wall
+	along the x axis gets hit on side 1, so its frame gets hit on side 0
+	*/
+	let frameSide = cellInfo.thinWall.axis === "x" ? 0 : 1;
+
+	return ray.side === frameSide ? cellInfo.thinWall.frame : undefined;
+}
+
+/*
+creates the segment of a column of the screen that is seen from the camera. A
+segment is the part of a column's ray between the camera (or a mirror or
+portal) and the next mirror or portal, its attributes are x (the column),
+startX, startY, dirX, dirY (where the ray starts and its direction), base (how
+far the ray travelled before the segment), clip (the rows {start, end} the
+segment can draw to), bounce (how many mirrors the ray bounced off), portals
+(how many portals the ray went through), and transform (how the mirrors and
+portals move what is seen). The transform maps a position in the world to
+where it is seen, as the attributes xx, xy, yx, yy, offsetX and offsetY
+(x becomes x * xx + y * xy + offsetX, and y becomes
+x * yx + y * yy + offsetY)
+*/
+function createSegment(x, startX, startY, dirX, dirY, renderHeight) {
+	return {
+		x: x,
+		startX: startX,
+		startY: startY,
+		dirX: dirX,
+		dirY: dirY,
+		base: 0,
+		clip: {
+			start: 0,
+			end: renderHeight
+		},
+		bounce: 0,
+		portals: 0,
+		transform: identityTransform
+	};
+}
+
+/*
+casts the ray of a segment, drawing every wall it hits. Reflective faces draw
+what the reflected ray sees behind them, and portal faces what is seen
+through them (see drawSegment)
+*/
+function castColumn(screen, scene, camera, ray, segment, time, planes) {
+	// the translucent faces the ray passed through (see drawLayers)
+	let layers = [];
+
+	// keep casting the ray until it goes out of bounds
+	while (1) {
+
+		// cast the ray
+		ray.cast();
+
+		// get a local refference to the information about the wall we hit
+		let wallInfo = scene.worldMap.cellInfo[ray.hit];
+
+		// how far the ray travelled from the camera to the wall
+		let distance = segment.base + ray.distance;
+
+		/*
+		if the ray left the bounds of the map or exceeded the max render 
+		distance, continue casting the next ray
+		*/
+		if (ray.hit === 0 ||
+			distance * camera.focalLength > camera.renderDistance) {
+			break;
+		}
+
+		/*
+		if the hit cell isn't defined in the cellInfo struct, continue
+		casting the current ray
+		*/
+		if (wallInfo === undefined) {
+			continue;
+		}
+
+		/*
+		walls in front of the camera's eyes hide the cells behind them (unless
+		they can be seen through)
+		*/
+		let cameraZ = camera.orientation.position.z;
+		if (wallInfo.elevation <= cameraZ &&
+			wallInfo.elevation + wallInfo.height >= cameraZ &&
+			!isTranslucent(wallInfo)) {
+			ray.explored = undefined;
+		}
+
+		// get the projected column of the walls height
+		let verticalLine = projectLine(
+			screen,
+			camera,
+			wallInfo.height,
+			wallInfo.elevation,
+			distance
+		);
+
+		// calculate the lighting scalar for each color field
+		let lighting = calculateLighting(
+			scene,
+			camera,
+			distance,
+			ray.side
+		);
+
+		/*
+		add the point lights at the hit point (at the height of the camera
+		clamped to the wall)
+		*/
+		addPointLights(
+			lighting,
+			scene,
+			segment.startX + ray.distance * segment.dirX,
+			segment.startY + ray.distance * segment.dirY,
+			Math.min(
+				Math.max(cameraZ, wallInfo.elevation),
+				wallInfo.elevation + wallInfo.height
+			)
+		);
+
+		// fade the wall towards the fog color
+		applyFog(
+			lighting,
+			scene,
+			getFogAmount(scene, camera, distance)
+		);
+
+		// get the appearance of the face we hit
+		let face = Ray.faces[ray.face];
+		let appearance = wallInfo.appearance[face];
+
+		/*
+		faces beside a thin wall are its frame (such as a door jamb), so
+		use the frame appearance of the thin wall if it has one
+		*/
+		let frame = getThinWallFrame(scene, ray);
+		if (frame !== undefined && wallInfo.thinWall === undefined) {
+			appearance = frame;
+		}
+
+		// portal faces show what is seen from the face they lead to
+		let portal;
+		if (wallInfo.thinWall === undefined && frame === undefined &&
+			segment.portals < Renderer.maxPortals) {
+			portal = scene.getPortal(ray.mapX, ray.mapY, face);
+		}
+
+		if (portal !== undefined) {
+			drawSegment(
+				screen,
+				scene,
+				camera,
+				portalSegment(segment, ray, verticalLine, portal),
+				time,
+				planes
+			);
+
+			// nothing behind a portal can be seen through it
+			fillDepth(screen, segment, verticalLine, distance);
+		} else if (isTranslucent(wallInfo) && !wallInfo.reflective[face]) {
+			/*
+			translucent faces are blended once everything behind them is
+			drawn, faces between two cells of the same translucent wall are
+			inside of it and aren't drawn (only their caps are)
+			*/
+			let isInside = wallInfo.thinWall === undefined &&
+				isInsideWall(scene, ray);
+
+			layers.push({
+				wallInfo: wallInfo,
+				appearance: isInside ? undefined : appearance,
+				wallX: ray.wallX,
+				side: ray.side,
+				verticalLine: verticalLine,
+				distance: distance,
+				exit: segment.base + Math.min(ray.sideDistX, ray.sideDistY),
+				lighting: lighting
+			});
+
+			continue;
+		} else {
+			drawFace(
+				screen,
+				scene,
+				camera,
+				ray,
+				segment,
+				wallInfo,
+				appearance,
+				frame,
+				verticalLine,
+				lighting,
+				time,
+				planes
+			);
+		}
+
+		/*
+		draw the top of the wall if the camera is above it, or its bottom
+		if the camera is below it (thin walls are too thin to have caps)
+		*/
+		if (wallInfo.thinWall === undefined) {
+			drawCap(
+				screen,
+				scene,
+				camera,
+				segment,
+				wallInfo,
+				distance,
+				segment.base + Math.min(ray.sideDistX, ray.sideDistY),
+				time
+			);
+		}
+	}
+
+	if (layers.length !== 0) {
+		drawLayers(screen, scene, camera, segment, layers, time, planes);
+	}
+}
+
+/*
+draws the face a segment's ray hit in the rows of its column, reflective faces
+show what the reflected ray sees, with the face blended over it
+*/
+function drawFace(
+	screen,
+	scene,
+	camera,
+	ray,
+	segment,
+	wallInfo,
+	appearance,
+	frame,
+	verticalLine,
+	lighting,
+	time,
+	planes
+) {
+	let distance = segment.base + ray.distance;
+
+	let opacity;
+	let isReflective = wallInfo.reflective[Ray.faces[ray.face]] &&
+		wallInfo.thinWall === undefined &&
+		frame === undefined &&
+		segment.bounce < Renderer.maxReflections;
+
+	if (isReflective) {
+		drawSegment(
+			screen,
+			scene,
+			camera,
+			reflectSegment(segment, ray, verticalLine),
+			time,
+			planes
+		);
+		opacity = 1 - wallInfo.reflectionBlend;
+	}
+
+	drawWallColumn(
+		screen,
+		segment,
+		appearance,
+		ray.wallX,
+		ray.side,
+		verticalLine,
+		distance,
+		lighting,
+		opacity,
+		time
+	);
+
+	// nothing behind a mirror can be seen through it
+	if (isReflective) {
+		fillDepth(screen, segment, verticalLine, distance);
+	}
+}
+
+/*
+draws the column of a wall face, wallX and side are where the ray hit the face
+(see Ray), opacity is optional and blends the face with what is already on
+the screen (see drawColoredColumn)
+*/
+function drawWallColumn(
+	screen,
+	segment,
+	appearance,
+	wallX,
+	side,
+	verticalLine,
+	distance,
+	lighting,
+	opacity,
+	time
+) {
+	let x = segment.x;
+
+	// how far an animated texture has scrolled at this time
+	let scroll = getScrollOffset(appearance, time);
+
+	/*
+	get what to draw at this time (animated textures become their
+	current frame, unloaded textures become their temporary color)
+	*/
+	appearance = resolveAppearance(appearance, time);
+
+	// if the appearance is a color, draw a single colored column
+	if (appearance instanceof Color) {
+		drawColoredColumn(
+			screen,
+			x,
+			appearance,
+			verticalLine.start,
+			verticalLine.end,
+			distance,
+			lighting,
+			opacity,
+			segment.clip
+		);
+
+	} else {
+		/*
+		the pixels array does exist, so calculate relavent variables 
+		for texture mapping
+		*/
+
+		// get the texture x coordinate for the column
+		let texX = Math.floor((wallX + scroll.x) % 1 *
+			appearance.width);
+
+		/*
+		flip the texture X coordinate depending on the wall face we hit
+		*/
+		if (side === 0 && segment.dirX > 0) {
+			texX = appearance.width - texX - 1;
+		}
+		if (side === 1 && segment.dirY < 0) {
+			texX = appearance.width - texX - 1;
+		}
+
+		/*
+		draw the textured column (pass drawEnd - drawStart instead of 
+		lineHeight * wallHeight to avoid weird texturemapping bug)
+		*/
+		drawTexturedColumn(
+			screen,
+			x,
+			appearance,
+			texX,
+			verticalLine.start,
+			verticalLine.end,
+			distance,
+			lighting,
+			scroll.y * appearance.height,
+			opacity,
+			segment.clip
+		);
+	}
+}
+
+/*
+checks if a wall can be seen through, faces with an opacity below 1 or
+partial alpha are blended with what is behind them
+*/
+function isTranslucent(wallInfo) {
+	return wallInfo.opacity < 1 || wallInfo.hasPartialAlpha;
+}
+
+/*
+checks if the face a ray hit is between two cells of the same wall (the cell
+the ray came from has the same id as the cell it hit)
+*/
+function isInsideWall(scene, ray) {
+	let worldMap = scene.worldMap;
+
+	// the cell the ray was in before it hit the current cell
+	let cellX = ray.side === 0 ? ray.mapX - ray.stepX : ray.mapX;
+	let cellY = ray.side === 1 ? ray.mapY - ray.stepY : ray.mapY;
+
+	if (cellX < 0 || cellY < 0 ||
+		cellX >= worldMap.width || cellY >= worldMap.height) {
+		return false;
+	}
+
+	return worldMap.data[cellX + cellY * worldMap.width] === ray.hit;
+}
+
+/*
+blends the translucent faces (and caps) a segment's ray passed through over
+what is behind them, from the furthest to the closest. The floor, ceiling,
+steps and entities behind them are drawn first (they are usually drawn after
+the walls), then the depth of the closest face is filled in over the rows the
+faces cover so nothing behind it is drawn over the faces later
+*/
+function drawLayers(screen, scene, camera, segment, layers, time, planes) {
+	// the ray finds the layers from the closest to the furthest
+	let nearest = layers[0].distance;
+
+	// the rows the faces cover, caps are between the face and the far edge
+	let start = segment.clip.end;
+	let end = segment.clip.start;
+
+	for (let i = 0; i < layers.length; i++) {
+		let wallInfo = layers[i].wallInfo;
+		let far = projectLine(
+			screen,
+			camera,
+			wallInfo.height,
+			wallInfo.elevation,
+			layers[i].exit
+		);
+
+		start = Math.min(start, layers[i].verticalLine.start, far.start);
+		end = Math.max(end, layers[i].verticalLine.end, far.end);
+	}
+
+	let behind = Object.assign({}, segment, {
+		clip: {
+			start: Math.max(segment.clip.start, start),
+			end: Math.min(segment.clip.end, end)
+		}
+	});
+
+	if (behind.clip.start >= behind.clip.end) return;
+
+	let ray = new Ray(
+		scene,
+		segment.startX,
+		segment.startY,
+		segment.dirX,
+		segment.dirY,
+		1
+	);
+
+	drawPlaneColumn(screen, scene, camera, ray, behind, planes);
+
+	if (hasHeightLayers(scene)) {
+		drawSteps(screen, scene, camera, ray, behind, time);
+	}
+
+	drawSegmentEntities(screen, scene, camera, behind, time, nearest);
+
+	for (let i = layers.length - 1; i >= 0; i--) {
+		let layer = layers[i];
+		let wallInfo = layer.wallInfo;
+
+		if (layer.appearance !== undefined) {
+			drawWallColumn(
+				screen,
+				segment,
+				layer.appearance,
+				layer.wallX,
+				layer.side,
+				layer.verticalLine,
+				layer.distance,
+				layer.lighting,
+				wallInfo.opacity,
+				time
+			);
+		}
+
+		if (wallInfo.thinWall === undefined) {
+			drawCap(
+				screen,
+				scene,
+				camera,
+				segment,
+				wallInfo,
+				layer.distance,
+				layer.exit,
+				time,
+				wallInfo.opacity
+			);
+		}
+	}
+
+	fillDepth(screen, behind, behind.clip, nearest);
+}
+
+/*
+draws what a segment that starts at a mirror or portal sees in the rows of the
+column it can draw to, a new ray is cast from the start of the segment
+(showing the walls, floor, ceiling and entities it sees)
+*/
+function drawSegment(screen, scene, camera, segment, time, planes) {
+	// the face isn't on the part of the column the segment can draw to
+	if (segment.clip.start >= segment.clip.end) return;
+
+	let ray = new Ray(
+		scene,
+		segment.startX,
+		segment.startY,
+		segment.dirX,
+		segment.dirY,
+		1
+	);
+
+	castColumn(screen, scene, camera, ray, segment, time, planes);
+
+	drawPlaneColumn(screen, scene, camera, ray, segment, planes);
+
+	if (hasHeightLayers(scene)) {
+		drawSteps(screen, scene, camera, ray, segment, time);
+	}
+
+	drawSegmentEntities(screen, scene, camera, segment, time, segment.base);
+}
+
+/*
+creates the segment of a ray reflected by the face a ray hit, limited to the
+rows the face covers. Mirrors flip the direction of the ray and what is seen
+in them across their face
+*/
+function reflectSegment(segment, ray, verticalLine) {
+	let startX = segment.startX + ray.distance * segment.dirX;
+	let startY = segment.startY + ray.distance * segment.dirY;
+	let dirX = segment.dirX;
+	let dirY = segment.dirY;
+	let transform;
+
+	/*
+	start the reflected ray exactly on the face (just outside of the wall's
+	cell), and flip its direction and the transform across the face
+	*/
+	if (ray.side === 0) {
+		let faceX = ray.stepX > 0 ? ray.mapX : ray.mapX + 1;
+		startX = faceX - ray.stepX * surfaceOffset;
+		dirX = -dirX;
+		transform = composeTransform(segment.transform, -1, 0, 0, 1,
+			2 * faceX, 0);
+	} else {
+		let faceY = ray.stepY > 0 ? ray.mapY : ray.mapY + 1;
+		startY = faceY - ray.stepY * surfaceOffset;
+		dirY = -dirY;
+		transform = composeTransform(segment.transform, 1, 0, 0, -1,
+			0, 2 * faceY);
+	}
+
+	return {
+		x: segment.x,
+		startX: startX,
+		startY: startY,
+		dirX: dirX,
+		dirY: dirY,
+		base: segment.base + ray.distance,
+		clip: {
+			start: Math.max(segment.clip.start, verticalLine.start),
+			end: Math.min(segment.clip.end, verticalLine.end)
+		},
+		bounce: segment.bounce + 1,
+		portals: segment.portals,
+		transform: transform
+	};
+}
+
+/*
+creates the segment of a ray that went through a portal (see
+Scene.getPortal), limited to the rows the portal covers. The ray comes out of
+the destination face turned by the portal, and what is seen through the
+portal is moved back to the portal's side
+*/
+function portalSegment(segment, ray, verticalLine, portal) {
+	let hitX = segment.startX + ray.distance * segment.dirX;
+	let hitY = segment.startY + ray.distance * segment.dirY;
+
+	/*
+	snap the hit point exactly onto the face, then move it just inside of the
+	wall's cell, which comes out just outside of the destination cell
+	*/
+	if (ray.side === 0) {
+		hitX = (ray.stepX > 0 ? ray.mapX : ray.mapX + 1) +
+			ray.stepX * surfaceOffset;
+	} else {
+		hitY = (ray.stepY > 0 ? ray.mapY : ray.mapY + 1) +
+			ray.stepY * surfaceOffset;
+	}
+
+	let cos = portal.cos;
+	let sin = portal.sin;
+	let dx = hitX - portal.fromX;
+	let dy = hitY - portal.fromY;
+
+	/*
+	positions seen through the portal are moved back by the inverse of the
+	portal (turned back, then moved from the destination face to the portal)
+	*/
+	let transform = composeTransform(
+		segment.transform,
+		cos,
+		sin,
+		-sin,
+		cos,
+		portal.fromX - cos * portal.toX - sin * portal.toY,
+		portal.fromY + sin * portal.toX - cos * portal.toY
+	);
+
+	return {
+		x: segment.x,
+		startX: portal.toX + dx * cos - dy * sin,
+		startY: portal.toY + dx * sin + dy * cos,
+		dirX: segment.dirX * cos - segment.dirY * sin,
+		dirY: segment.dirX * sin + segment.dirY * cos,
+		base: segment.base + ray.distance,
+		clip: {
+			start: Math.max(segment.clip.start, verticalLine.start),
+			end: Math.min(segment.clip.end, verticalLine.end)
+		},
+		bounce: segment.bounce,
+		portals: segment.portals + 1,
+		transform: transform
+	};
+}
+
+/*
+applies a transform to positions before another transform (see
+createSegment), the first transform is given as its attributes xx, xy, yx, yy,
+offsetX and offsetY
+*/
+function composeTransform(transform, xx, xy, yx, yy, offsetX, offsetY) {
+	return {
+		xx: transform.xx * xx + transform.xy * yx,
+		xy: transform.xx * xy + transform.xy * yy,
+		yx: transform.yx * xx + transform.yy * yx,
+		yy: transform.yx * xy + transform.yy * yy,
+		offsetX: transform.xx * offsetX + transform.xy * offsetY +
+			transform.offsetX,
+		offsetY: transform.yx * offsetX + transform.yy * offsetY +
+			transform.offsetY
+	};
+}
+
+/*
+sets the depth of the rows of a column a line covers (that are further than
+the depth), so nothing further can be drawn there
+*/
+function fillDepth(screen, segment, verticalLine, depth) {
+	let start = Math.max(segment.clip.start, verticalLine.start);
+	let end = Math.min(segment.clip.end, verticalLine.end);
+
+	for (let y = start; y < end; y++) {
+		let index = segment.x + y * screen.renderWidth;
+		if (screen.depthBuffer[index] > depth) {
+			screen.depthBuffer[index] = depth;
+		}
+	}
+}
+
+/*
+draws the entities a segment sees in its column further than the near
+distance, entities are seen where the segment's transform moves them (and
+flipped if the transform is)
+*/
+function drawSegmentEntities(screen, scene, camera, segment, time, near) {
+	let opaque = [];
+	let partialAlpha = [];
+
+	for (let i = 0; i < scene.gameObject.entities.length; i++) {
+		let entity = scene.gameObject.entities[i];
+
+		// don't draw the entity if it is invisible
+		if (!entity.isVisible) continue;
+
+		let projection = projectEntity(
+			screen,
+			scene,
+			camera,
+			entity,
+			time,
+			segment.transform
+		);
+
+		/*
+		only draw entities that are in this column, and further than the near
+		distance (entities in front of a mirror or portal can't be seen in
+		it)
+		*/
+		if (projection === undefined ||
+			segment.x < projection.columnStart ||
+			segment.x >= projection.columnEnd ||
+			projection.depth <= near) {
+			continue;
+		}
+
+		if (entity.hasPartialAlpha) {
+			partialAlpha.push(projection);
+		} else {
+			opaque.push(projection);
+		}
+	}
+
+	for (let i = 0; i < opaque.length; i++) {
+		drawEntityColumn(screen, opaque[i], segment.x, segment.clip);
+	}
+
+	// blend entities with partial alpha from furthest to closest
+	partialAlpha.sort((a, b) => b.depth - a.depth);
+
+	for (let i = 0; i < partialAlpha.length; i++) {
+		drawEntityColumn(screen, partialAlpha[i], segment.x, segment.clip);
+	}
+}
+
+/*
+gets the cellInfo of the wall in the cell the camera is in, returns undefined
+if the camera isn't in a wall cell (or the wall is a thin wall)
+*/
+function getCameraCellInfo(scene, camera) {
+	let worldMap = scene.worldMap;
+	let cellX = Math.floor(camera.orientation.position.x);
+	let cellY = Math.floor(camera.orientation.position.y);
+
+	if (cellX < 0 ||
+		cellY < 0 ||
+		cellX >= worldMap.width ||
+		cellY >= worldMap.height) {
+		return undefined;
+	}
+
+	let cell = worldMap.data[cellX + cellY * worldMap.width];
+	let cellInfo = worldMap.cellInfo[cell];
+	if (cellInfo === undefined || cellInfo.thinWall !== undefined) {
+		return undefined;
+	}
+
+	return cellInfo;
+}
+
+/*
+draws the part of a wall's top (if the camera is above the wall) or bottom (if
+the camera is below the wall) that a segment of a column shows, enter and exit
+are the distances the ray entered and left the wall's cell at. Caps are drawn
+like the floor / ceiling, at the height of the wall's top or bottom. If an
+opacity is provided the cap is blended like a translucent face (see
+drawColoredColumn)
+*/
+function drawCap(
+	screen,
+	scene,
+	camera,
+	segment,
+	wallInfo,
+	enter,
+	exit,
+	time,
+	opacity
+) {
+	let position = camera.orientation.position;
+	let top = wallInfo.elevation + wallInfo.height;
+
+	// the camera can only see one cap of a wall (or neither)
+	let isTop = position.z > top;
+	if (!isTop && position.z >= wallInfo.elevation) return;
+
+	let capZ = isTop ? top : wallInfo.elevation;
+	let appearance = isTop ?
+		wallInfo.appearance.top :
+		wallInfo.appearance.bottom;
+
+	let scroll = getScrollOffset(appearance, time);
+	appearance = resolveAppearance(appearance, time);
+
+	// whether or not to blend the cap with the screen
+	let blend = opacity !== undefined;
+
+	// colors that aren't fully visible aren't drawn (like wall faces)
+	let isColor = appearance instanceof Color;
+	if (isColor && !blend && appearance.alpha !== 255) return;
+
+	// don't draw past the maximum render distance
+	exit = Math.min(exit, camera.renderDistance / camera.focalLength);
+	if (enter >= exit) return;
+
+	let height = screen.renderHeight;
+
+	// the same horizon walls are projected with
+	let horizon = height / 2 + Math.floor(camera.pitch);
+
+	// height of the camera above / below the cap in pixel coordinates
+	let posZ = Math.abs(position.z - capZ) * height;
+
+	/*
+	the rows (relative to the horizon) that show the cap between the enter
+	and exit distances, the top cap is below the horizon and the bottom cap
+	above it
+	*/
+	let near = posZ / enter;
+	let far = posZ / exit;
+	let startY = isTop ? horizon + far : horizon - near;
+	let endY = isTop ? horizon + near : horizon - far;
+
+	// bound the rows to the part of the column the segment can draw to
+	startY = Math.max(Math.ceil(startY), segment.clip.start);
+	endY = Math.min(Math.floor(endY), segment.clip.end - 1);
+
+	let hasLights = scene.lighting.lights.length !== 0;
+
+	// where the segment's ray would start if it had no base distance
+	let originX = segment.startX - segment.dirX * segment.base;
+	let originY = segment.startY - segment.dirY * segment.base;
+
+	for (let y = startY; y <= endY; y++) {
+		let p = Math.abs(y - horizon);
+		if (p === 0) continue;
+
+		// horizontal distance the camera is from this pixel
+		let distance = posZ / p;
+
+		// if there is something obstructing this pixel, skip it
+		let index = segment.x + y * screen.renderWidth;
+		if (screen.depthBuffer[index] <= distance) continue;
+
+		// the world coordinates of this pixel
+		let worldX = originX + segment.dirX * distance;
+		let worldY = originY + segment.dirY * distance;
+
+		let red;
+		let green;
+		let blue;
+		let alpha;
+
+		if (isColor) {
+			red = appearance.red;
+			green = appearance.green;
+			blue = appearance.blue;
+			alpha = appearance.alpha;
+		} else {
+			// the cap is covered by the texture once
+			let texX = worldX + scroll.x;
+			let texY = worldY + scroll.y;
+			texX = Math.floor((texX - Math.floor(texX)) * appearance.width);
+			texY = Math.floor((texY - Math.floor(texY)) * appearance.height);
+
+			let texIndex = getTexelIndex(appearance, texX, texY);
+
+			// if the pixel isn't fully visible, don't draw it
+			if (!blend && appearance.pixels[texIndex + 3] !== 255) continue;
+
+			red = appearance.pixels[texIndex];
+			green = appearance.pixels[texIndex + 1];
+			blue = appearance.pixels[texIndex + 2];
+			alpha = appearance.pixels[texIndex + 3];
+		}
+
+		// caps are lit like the floor / ceiling
+		let lighting = calculateLighting(scene, camera, distance);
+		if (hasLights) {
+			addPointLights(lighting, scene, worldX, worldY, capZ);
+		}
+		applyFog(lighting, scene, getFogAmount(scene, camera, distance));
+
+		// blend the pixel with what is already on the screen
+		if (blend) {
+			screen.blendPixel(
+				index,
+				red * lighting.r + lighting.fogR,
+				green * lighting.g + lighting.fogG,
+				blue * lighting.b + lighting.fogB,
+				alpha / 255 * opacity
+			);
+			continue;
+		}
+
+		// draw the pixel
+		screen.pixels[index * 4] = Math.floor(red * lighting.r + lighting.fogR);
+		screen.pixels[index * 4 + 1] = Math.floor(green * lighting.g +
+			lighting.fogG);
+		screen.pixels[index * 4 + 2] = Math.floor(blue * lighting.b +
+			lighting.fogB);
+		screen.pixels[index * 4 + 3] = 255;
+
+		// update the depth buffer to include this pixel
+		screen.depthBuffer[index] = distance;
+	}
+}
+
+// checks if the world map of a scene has per cell floor or ceiling heights
+function hasHeightLayers(scene) {
+	return scene.worldMap.floorHeight !== undefined ||
+		scene.worldMap.ceilingHeight !== undefined;
+}
+
+/*
+checks if a ray is outside of the map and moving away from it (so every cell
+it crosses from now on is outside of the map)
+*/
+function isLeavingMap(ray, worldMap) {
+	return (ray.mapX < 0 && ray.stepX < 0) ||
+		(ray.mapY < 0 && ray.stepY < 0) ||
+		(ray.mapX >= worldMap.width && ray.stepX > 0) ||
+		(ray.mapY >= worldMap.height && ray.stepY > 0);
+}
+
+/*
+draws the faces of the steps a segment's ray crosses. A step is where the ray
+enters a cell with a higher floor or a lower ceiling than the cell it left,
+the face of a floor step looks like the floor of the higher cell and the face
+of a ceiling step like the ceiling of the lower cell
+*/
+function drawSteps(screen, scene, camera, ray, segment, time) {
+	let worldMap = scene.worldMap;
+
+	ray.init(segment.startX, segment.startY, segment.dirX, segment.dirY, 1);
+
+	// the heights of the cell the ray is leaving
+	let floor = scene.getFloorHeight(ray.mapX, ray.mapY);
+	let ceiling = scene.getCeilingHeight(ray.mapX, ray.mapY);
+
+	// the max render distance in the same units as the ray's distances
+	let maxDistance = camera.renderDistance / camera.focalLength;
+
+	while (!isLeavingMap(ray, worldMap)) {
+		ray.step();
+
+		// the distance the ray entered the new cell at
+		let distance = segment.base + (ray.side === 0 ?
+			ray.sideDistX - ray.deltaDistX :
+			ray.sideDistY - ray.deltaDistY);
+
+		if (distance > maxDistance) break;
+
+		let nextFloor = scene.getFloorHeight(ray.mapX, ray.mapY);
+		let nextCeiling = scene.getCeilingHeight(ray.mapX, ray.mapY);
+
+		if (nextFloor > floor) {
+			drawStepFace(
+				screen,
+				scene,
+				camera,
+				ray,
+				segment,
+				getStepAppearance(scene, ray, "floor"),
+				floor,
+				nextFloor,
+				distance,
+				time
+			);
+		}
+
+		// lower ceilings that are open sky don't have a face
+		let ceilingAppearance = getStepAppearance(scene, ray, "ceiling");
+		if (nextCeiling < ceiling && ceilingAppearance !== undefined) {
+			drawStepFace(
+				screen,
+				scene,
+				camera,
+				ray,
+				segment,
+				ceilingAppearance,
+				nextCeiling,
+				ceiling,
+				distance,
+				time
+			);
+		}
+
+		floor = nextFloor;
+		ceiling = nextCeiling;
+	}
+}
+
+/*
+gets the floor / ceiling appearance of the cell a ray is in (see
+worldMap.floorInfo and worldMap.ceilingInfo), returns undefined if it is open
+sky
+*/
+function getStepAppearance(scene, ray, plane) {
+	let worldMap = scene.worldMap;
+	let layer = worldMap[plane];
+
+	// cells outside of the map, or without a layer, use the plane's appearance
+	if (layer === undefined ||
+		ray.mapX < 0 ||
+		ray.mapY < 0 ||
+		ray.mapX >= worldMap.width ||
+		ray.mapY >= worldMap.height) {
+		return scene[plane].appearance;
+	}
+
+	let id = layer[ray.mapX + ray.mapY * worldMap.width];
+	if (id === Scene.skyCell) return undefined;
+
+	let appearance = worldMap[plane + "Info"][id];
+	return appearance === undefined ? scene[plane].appearance : appearance;
+}
+
+/*
+draws the face of a step from bottom to top where the ray entered its current
+cell, step faces are lit like walls
+*/
+function drawStepFace(
+	screen,
+	scene,
+	camera,
+	ray,
+	segment,
+	appearance,
+	bottom,
+	top,
+	distance,
+	time
+) {
+	let position = camera.orientation.position;
+
+	// where the ray crossed into the cell
+	let hitX = segment.startX + (distance - segment.base) * ray.dirX;
+	let hitY = segment.startY + (distance - segment.base) * ray.dirY;
+
+	// get the projected column of the face
+	let verticalLine = projectLine(screen, camera, top - bottom, bottom,
+		distance);
+
+	let lighting = calculateLighting(scene, camera, distance, ray.side);
+
+	// add the point lights at the height of the camera clamped to the face
+	addPointLights(
+		lighting,
+		scene,
+		hitX,
+		hitY,
+		Math.min(Math.max(position.z, bottom), top)
+	);
+
+	applyFog(lighting, scene, getFogAmount(scene, camera, distance));
+
+	let scroll = getScrollOffset(appearance, time);
+	appearance = resolveAppearance(appearance, time);
+
+	if (appearance instanceof Color) {
+		drawColoredColumn(
+			screen,
+			segment.x,
+			appearance,
+			verticalLine.start,
+			verticalLine.end,
+			distance,
+			lighting,
+			undefined,
+			segment.clip
+		);
+
+		return;
+	}
+
+	// where along the face the ray crossed, in the range [0, 1)
+	let faceX = ray.side === 0 ? hitY : hitX;
+	faceX -= Math.floor(faceX);
+
+	let texX = Math.floor((faceX + scroll.x) % 1 * appearance.width);
+
+	// flip the texture x coordinate the same way walls do
+	if ((ray.side === 0 && ray.dirX > 0) || (ray.side === 1 && ray.dirY < 0)) {
+		texX = appearance.width - texX - 1;
+	}
+
+	drawTexturedColumn(
+		screen,
+		segment.x,
+		appearance,
+		texX,
+		verticalLine.start,
+		verticalLine.end,
+		distance,
+		lighting,
+		scroll.y * appearance.height,
+		undefined,
+		segment.clip
+	);
+}
+
+/*
+renders the floor and ceiling one column of the screen at a time for world
+maps with per cell heights (see drawPlaneColumn)
+*/
+function renderFloorCeilingColumns(screen, scene, camera, time) {
+	let position = camera.orientation.position;
+
+	// the appearances of the floor and ceiling at this time
+	let planes = [
+		getPlaneInfo(scene, "floor", time),
+		getPlaneInfo(scene, "ceiling", time)
+	];
+
+	let ray = new Ray(scene, position.x, position.y, 0, 1, 1);
+
+	// for every column of the screen...
+	for (let x = 0; x < screen.renderWidth; x++) {
+		// set up the ray of the column the same way renderWalls does
+		let cameraX = (x / screen.renderWidth) - 0.5;
+		let rayDirX = camera.orientation.direction.x * camera.focalLength +
+			camera.plane.x * screen.aspectRatio * cameraX;
+		let rayDirY = camera.orientation.direction.y * camera.focalLength +
+			camera.plane.y * screen.aspectRatio * cameraX;
+
+		drawPlaneColumn(
+			screen,
+			scene,
+			camera,
+			ray,
+			createSegment(
+				x,
+				position.x,
+				position.y,
+				rayDirX,
+				rayDirY,
+				screen.renderHeight
+			),
+			planes
+		);
+	}
+}
+
+/*
+draws the floor and ceiling a segment of a column sees, the segment's ray
+crosses the map one cell at a time, and the rows of the column that show the
+floor / ceiling of a cell are drawn at that cell's height
+*/
+function drawPlaneColumn(screen, scene, camera, ray, segment, planes) {
+	let height = screen.renderHeight;
+	let width = screen.renderWidth;
+	let worldMap = scene.worldMap;
+	let position = camera.orientation.position;
+	let x = segment.x;
+
+	// the same horizon as the rows of flat planes
+	let horizon = Math.floor(height / 2 + camera.pitch) - 1;
+
+	// the max render distance in the same units as the ray's distances
+	let maxDistance = camera.renderDistance / camera.focalLength;
+
+	let hasLights = scene.lighting.lights.length !== 0;
+
+	ray.init(segment.startX, segment.startY, segment.dirX, segment.dirY, 1);
+
+	// where the segment's ray would start if it had no base distance
+	let originX = segment.startX - segment.dirX * segment.base;
+	let originY = segment.startY - segment.dirY * segment.base;
+
+	// the distance the ray entered the current cell at
+	let enter = segment.base;
+
+	while (enter < maxDistance) {
+		/*
+		the distance the ray leaves the current cell at (once the ray has
+		left the map every cell is the same, so it never leaves)
+		*/
+		let leaving = isLeavingMap(ray, worldMap);
+		let exit = leaving ?
+			maxDistance :
+			Math.min(
+				segment.base + Math.min(ray.sideDistX, ray.sideDistY),
+				maxDistance
+			);
+
+		let isInside = ray.mapX >= 0 &&
+			ray.mapY >= 0 &&
+			ray.mapX < worldMap.width &&
+			ray.mapY < worldMap.height;
+
+		for (let i = 0; i < planes.length; i++) {
+			let plane = planes[i];
+			if (!plane.enabled) continue;
+
+			let isFloor = plane.name === "floor";
+
+			// the height of the plane in this cell
+			let planeZ = isFloor ?
+				scene.getFloorHeight(ray.mapX, ray.mapY) :
+				scene.getCeilingHeight(ray.mapX, ray.mapY);
+
+			/*
+			height of camera in pixel coordinates (relative to the plane),
+			planes seen from behind aren't drawn
+			*/
+			let posZ = isFloor ?
+				(position.z - planeZ) * height :
+				(planeZ - position.z) * height;
+			if (posZ <= 0) continue;
+
+			// the appearance of the cell
+			let appearance = plane.appearance;
+			let isColor = plane.isColor;
+			let scroll = plane.scroll;
+
+			if (plane.layer !== undefined && isInside) {
+				let id = plane.layer[ray.mapX + ray.mapY * worldMap.width];
+
+				// don't draw open sky, the skybox shows through instead
+				if (id === Scene.skyCell) continue;
+
+				if (plane.layerInfo[id] !== undefined) {
+					appearance = plane.layerInfo[id].appearance;
+					isColor = plane.layerInfo[id].isColor;
+					scroll = plane.layerInfo[id].scroll;
+				}
+			}
+
+			/*
+			the rows (relative to the horizon) that show the plane between
+			the enter and exit distances, bound to the part of the column the
+			segment can draw to
+			*/
+			let pStart = Math.floor(posZ / exit) + 1;
+			let pEnd = Math.floor(posZ / enter);
+			if (isFloor) {
+				pStart = Math.max(pStart, segment.clip.start - horizon);
+				pEnd = Math.min(pEnd, segment.clip.end - 1 - horizon);
+			} else {
+				pStart = Math.max(pStart, horizon - segment.clip.end + 1);
+				pEnd = Math.min(pEnd, horizon - segment.clip.start);
+			}
+
+			for (let p = pStart; p <= pEnd; p++) {
+				let y = isFloor ? horizon + p : horizon - p;
+				let index = x + y * width;
+
+				// horizontal distance the camera is from this pixel
+				let rowDistance = posZ / p;
+
+				// if there is something obstructing this pixel, skip it
+				if (screen.depthBuffer[index] <= rowDistance) continue;
+
+				// the world coordinates of this pixel
+				let worldX = originX + segment.dirX * rowDistance;
+				let worldY = originY + segment.dirY * rowDistance;
+
+				// the lighting of this pixel
+				let lighting = calculateLighting(
+					scene,
+					camera,
+					rowDistance
+				);
+				if (hasLights) {
+					addPointLights(lighting, scene, worldX, worldY, planeZ);
+				}
+				applyFog(
+					lighting,
+					scene,
+					getFogAmount(scene, camera, rowDistance)
+				);
+
+				drawPlanePixel(
+					screen,
+					index,
+					appearance,
+					isColor,
+					scroll,
+					worldX / plane.cellWidth,
+					worldY / plane.cellHeight,
+					lighting
+				);
+
+				// update the depth buffer to include this pixel
+				screen.depthBuffer[index] = rowDistance;
+			}
+		}
+
+		if (leaving) break;
+
+		enter = exit;
+		ray.step();
+	}
+}
+
+/*
+gets the floor or ceiling of a scene with its appearances resolved at some
+time (and the appearances of its per cell layer, if it has one)
+*/
+function getPlaneInfo(scene, name, time) {
+	let plane = scene[name];
+	let appearance = resolveAppearance(plane.appearance, time);
+	let layer = scene.worldMap[name];
+
+	return {
+		name: name,
+		enabled: plane.enabled,
+		appearance: appearance,
+		isColor: appearance instanceof Color,
+		scroll: getScrollOffset(plane.appearance, time),
+		layer: layer,
+		layerInfo: layer === undefined ? undefined :
+			resolveLayerInfo(scene.worldMap[name + "Info"], time),
+		cellWidth: plane.cellWidth,
+		cellHeight: plane.cellHeight
+	};
+}
+
+/*
+draws one pixel of a floor / ceiling, planeX and planeY are the coordinates of
+the point the pixel shows on the plane (in units of the appearance's size)
+*/
+function drawPlanePixel(
+	screen,
+	index,
+	appearance,
+	isColor,
+	scroll,
+	planeX,
+	planeY,
+	lighting
+) {
+	let red;
+	let green;
+	let blue;
+
+	if (isColor) {
+		// if the appearance is a color, simply use its attributes
+		red = appearance.red;
+		green = appearance.green;
+		blue = appearance.blue;
+	} else {
+		/*
+		if the appearance is a texture, get the texture coordinates of the
+		color to draw
+		*/
+		let tx = Math.floor(appearance.width *
+			Math.abs((planeX + scroll.x) % 1));
+		let ty = Math.floor(appearance.height *
+			Math.abs((planeY + scroll.y) % 1));
+
+		// 1 dimentional index of the texture pixel to use
+		let texIndex = getTexelIndex(appearance, tx, ty);
+
+		// get the color from the pixels array
+		red = appearance.pixels[texIndex];
+		green = appearance.pixels[texIndex + 1];
+		blue = appearance.pixels[texIndex + 2];
+	}
+
+	// draw the lit color
+	screen.pixels[index * 4] = Math.floor(red * lighting.r + lighting.fogR);
+	screen.pixels[index * 4 + 1] = Math.floor(green * lighting.g +
+		lighting.fogG);
+	screen.pixels[index * 4 + 2] = Math.floor(blue * lighting.b +
+		lighting.fogB);
+	screen.pixels[index * 4 + 3] = 255;
+}
+
+/*
+the transform of segments that haven't bounced off of a mirror or gone
+through a portal (positions are seen where they are)
+*/
+const identityTransform = {
+	xx: 1,
+	xy: 0,
+	yx: 0,
+	yy: 1,
+	offsetX: 0,
+	offsetY: 0
+};
+
+/*
+how far in front of a mirror (or portal) rays start, so they start in the cell
+in front of the face and not in the face's cell
+*/
+const surfaceOffset = 1e-7;
+
+// lighting that doesn't change a color at all
+const noLighting = {
+	r: 1,
+	g: 1,
+	b: 1,
+	fogR: 0,
+	fogG: 0,
+	fogB: 0
+};
+
+/*
+copies the scalars of a lighting object into another lighting object, creates
+a new lighting object if no target is provided
+*/
+function copyLighting(source, target) {
+	target = target || {};
+
+	target.r = source.r;
+	target.g = source.g;
+	target.b = source.b;
+	target.fogR = source.fogR;
+	target.fogG = source.fogG;
+	target.fogB = source.fogB;
+
+	return target;
+}
+
+/*
+gets how much fog covers something at some depth, in the range [0, 1] (0 is no
+fog, 1 is only fog)
+*/
+function getFogAmount(scene, camera, depth) {
+	let fog = scene.lighting.fog;
+
+	if (!fog.enabled) return 0;
+
+	// transform the depth from camera space to world space
+	let distance = depth * camera.focalLength;
+
+	// no fog before the start distance
+	if (distance <= fog.start) return 0;
+
+	if (fog.mode === "exponential") {
+		return 1 - Math.exp(-fog.density * (distance - fog.start));
+	}
+
+	// linear fog is full at the end distance
+	if (distance >= fog.end) return 1;
+
+	return (distance - fog.start) / (fog.end - fog.start);
+}
+
+/*
+fades a lighting object towards the fog color by some amount (modifies the 
+lighting object), a color drawn with the lighting becomes 
+color * lighting + fog
+*/
+function applyFog(lighting, scene, amount) {
+	if (amount === 0) return lighting;
+
+	let color = scene.lighting.fog.color;
+
+	lighting.r *= 1 - amount;
+	lighting.g *= 1 - amount;
+	lighting.b *= 1 - amount;
+	lighting.fogR = lighting.fogR * (1 - amount) + color.red * amount;
+	lighting.fogG = lighting.fogG * (1 - amount) + color.green * amount;
+	lighting.fogB = lighting.fogB * (1 - amount) + color.blue * amount;
+
+	return lighting;
+}
+
+/*
+blends the fog color over the skybox, fully at the horizon and fading out 
+towards the top of the screen
+*/
+function drawSkyboxFog(screen, scene, horizon) {
+	let fog = scene.lighting.fog;
+
+	// the amount of rows the fog fades out over
+	let fogHeight = Math.floor(fog.skyboxHeight * screen.renderHeight);
+
+	// the first and last rows covered by fog
+	let rowStart = Math.max(horizon - fogHeight, 0);
+	let rowEnd = Math.min(horizon, screen.renderHeight);
+
+	for (let y = rowStart; y < rowEnd; y++) {
+		// fog is thickest at the horizon
+		let amount = 1 - (horizon - y) / fogHeight;
+
+		for (let x = 0; x < screen.renderWidth; x++) {
+			screen.blendPixel(
+				x + y * screen.renderWidth,
+				fog.color.red,
+				fog.color.green,
+				fog.color.blue,
+				amount
+			);
+		}
+	}
+}
+
+/*
+adds the contribution of every point light in the scene at a point in world 
+space to a lighting object (modifies the lighting object)
+*/
+function addPointLights(lighting, scene, x, y, z) {
+	let lights = scene.lighting.lights;
+
+	for (let i = 0; i < lights.length; i++) {
+		let amount = lights[i].getAmount(x, y, z);
+
+		// the point is out of reach of this light
+		if (amount === 0) continue;
+
+		lighting.r += amount * lights[i].color.red / 255;
+		lighting.g += amount * lights[i].color.green / 255;
+		lighting.b += amount * lights[i].color.blue / 255;
+	}
+
+	return lighting;
+}
+
+/*
+draws a vertical line of one color, if an opacity in the range [0, 1] is 
+provided the color is blended with what is already on the screen (and the 
+depth buffer is left untouched), otherwise only fully visible colors are drawn.
+If a clip object is provided only the rows from clip.start up to clip.end are
+drawn to (such as the rows a mirror covers)
+*/
+function drawColoredColumn(
+	screen,
+	x,
+	color,
+	startY,
+	endY,
+	depth,
+	lighting,
+	opacity,
+	clip
+) {
+	// whether or not to blend the color with the screen
+	let blend = opacity !== undefined;
+
+	// how much of the color shows when blending
+	let alpha = blend ? color.alpha / 255 * opacity : 1;
+
+	// don't draw the color if it isn't fully visible (or is invisible)
+	if ((!blend && color.alpha !== 255) || alpha === 0) {
+		return;
+	}
+
+	// the rows that can be drawn to
+	let clipStart = clip === undefined ? 0 : clip.start;
+	let clipEnd = clip === undefined ? screen.renderHeight : clip.end;
+
+	/*
+	constrain start and end coordinates to be within the bounds of the screen
+	*/
+	if (startY < clipStart) startY = clipStart;
+	if (endY > clipEnd) endY = clipEnd;
+
+	// the lit color to draw
+	let red = color.red * lighting.r + lighting.fogR;
+	let green = color.green * lighting.g + lighting.fogG;
+	let blue = color.blue * lighting.b + lighting.fogB;
+
+	// for every y pixel in the x column between startY and endY...
+	for (let y = startY; y < endY; y++) {
+		// 1d index of the current pixel
+		let index = x + y * screen.renderWidth;
+
+		// don't draw the color if there is something closer to the camera
+		if (depth !== -1 && screen.depthBuffer[index] < depth) continue;
+
+		// blend the pixel with what is already on the screen
+		if (blend) {
+			screen.blendPixel(index, red, green, blue, alpha);
+			continue;
+		}
 
 		// draw the pixel
-		screen.pixels[index * 4] =
-			Math.floor(color.red * lighting.r);
-		screen.pixels[index * 4 + 1] =
-			Math.floor(color.green * lighting.g);
-		screen.pixels[index * 4 + 2] =
-			Math.floor(color.blue * lighting.b);
+		screen.pixels[index * 4] = Math.floor(red);
+		screen.pixels[index * 4 + 1] = Math.floor(green);
+		screen.pixels[index * 4 + 2] = Math.floor(blue);
 		screen.pixels[index * 4 + 3] = 255;
 
 		// add the depth to the depth buffer
@@ -856,7 +2849,14 @@ function drawColoredColumn(
 	}
 }
 
-// draws a vertical slice of the texture provided at the given coordinates
+/*
+draws a vertical slice of the texture provided at the given coordinates, 
+texOffsetY shifts the texture down some amount of pixels (wrapping around), if
+an opacity in the range [0, 1] is provided the texture is blended with what is
+already on the screen (and the depth buffer is left untouched), otherwise only
+fully visible pixels of the texture are drawn. clip is optional and limits the
+rows that are drawn to (see drawColoredColumn)
+*/
 function drawTexturedColumn(
 	screen,
 	x,
@@ -865,24 +2865,47 @@ function drawTexturedColumn(
 	startY,
 	endY,
 	depth,
-	lighting
+	lighting,
+	texOffsetY,
+	opacity,
+	clip
 ) {
+	// whether or not to blend the texture with the screen
+	let blend = opacity !== undefined;
+
+	/*
+	texture regions (such as a frame of a sprite sheet) are drawn from part of
+	the pixel array of a larger texture
+	*/
+	let isRegion = texture instanceof TextureRegion;
+	let pixelsWidth = isRegion ? texture.texture.width : texture.width;
+	let offsetX = isRegion ? texture.x : 0;
+	let offsetY = isRegion ? texture.y : 0;
+	let pixels = texture.pixels;
+
 	// how much to increase the texture coordinate per screen pixel
 	let step = texture.height / (endY - startY);
 
+	// the rows that can be drawn to
+	let clipStart = clip === undefined ? 0 : clip.start;
+	let clipEnd = clip === undefined ? screen.renderHeight : clip.end;
+
 	/*
 	start at 0 if the top of the wall is in the bounds of the screen, 
 	if the top of the wall is out of bounds, we must start drawing the
 	texture at some y offset
 	*/
-	let texPosY = startY < 0 ? -startY * step : 0;
+	let texPosY = startY < clipStart ? (clipStart - startY) * step : 0;
+
+	// shift the texture by the offset
+	texPosY += texOffsetY || 0;
 
 	/*
 	constrain startY and endY to the screen's dimentions before 
 	drawing
 	*/
-	if (startY < 0) startY = 0;
-	if (endY > screen.renderHeight) endY = screen.renderHeight;
+	if (startY < clipStart) startY = clipStart;
+	if (endY > clipEnd) endY = clipEnd;
 
 	// draw the column
 	for (let y = startY; y < endY; y++) {
@@ -899,24 +2922,37 @@ function drawTexturedColumn(
 		}
 
 		// get the y pixel coordinate of the texture
-		let texY = Math.floor(texPosY);
+		let texY = Math.floor(texPosY) % texture.height;
 
 		// get the index to the texture color
-		let texIndex = (texX + texY * texture.width) * 4;
+		let texIndex = (offsetX + texX + (offsetY + texY) * pixelsWidth) * 4;
+
+		// blend the pixel with what is already on the screen
+		if (blend) {
+			screen.blendPixel(
+				index,
+				pixels[texIndex] * lighting.r + lighting.fogR,
+				pixels[texIndex + 1] * lighting.g + lighting.fogG,
+				pixels[texIndex + 2] * lighting.b + lighting.fogB,
+				pixels[texIndex + 3] / 255 * opacity
+			);
+			texPosY += step;
+			continue;
+		}
 
 		// if the pixel isn't fully visible, don't draw it
-		if (texture.pixels[texIndex + 3] !== 255) {
+		if (pixels[texIndex + 3] !== 255) {
 			texPosY += step;
 			continue;
 		}
 
 		// draw the pixel
 		screen.pixels[index * 4] =
-			Math.floor(texture.pixels[texIndex] * lighting.r);
+			Math.floor(pixels[texIndex] * lighting.r + lighting.fogR);
 		screen.pixels[index * 4 + 1] =
-			Math.floor(texture.pixels[texIndex + 1] * lighting.g);
+			Math.floor(pixels[texIndex + 1] * lighting.g + lighting.fogG);
 		screen.pixels[index * 4 + 2] =
-			Math.floor(texture.pixels[texIndex + 2] * lighting.b);
+			Math.floor(pixels[texIndex + 2] * lighting.b + lighting.fogB);
 		screen.pixels[index * 4 + 3] = 255;
 
 		// increment the y texture coordinate
@@ -928,4 +2964,4 @@ function drawTexturedColumn(
 		*/
 		if (depth !== -1) screen.depthBuffer[index] = depth;
 	}
-}
\ No newline at end of file
+}
@@ -10,14 +10,39 @@ import {
 import {
 	Texture
 } from "/src/resources/texture.js";
+import {
+	TextureRegion
+} from "/src/resources/textureRegion.js";
+import {
+	AnimatedTexture
+} from "/src/resources/animatedTexture.js";
 import {
 	Entity
 } from "/src/core/entity.js";
+import {
+	Light
+} from "/src/core/light.js";
+import {
+	DirectionalSprite
+} from "/src/resources/directionalSprite.js";
+import {
+	AssetManager
+} from "/src/resources/assetManager.js";
 
 class Scene {
+
+	/*
+	a cell with this value in the worldMap.ceiling layer has no ceiling, which
+	lets the skybox show through
+	*/
+	static skyCell = -1;
+
+	// the version of the level format written by toJSON (see below)
+	static jsonVersion = 1;
+
 	/*
 	config holds sub config objects which include: floor, ceiling, worldMap,
-	gameObject, skybox, lighting
+	gameObject, skybox, lighting, terrain
 	NOTE: config object does get modified, scene attributes are referenced
 	to the config object
 	*/
@@ -36,7 +61,8 @@ class Scene {
 			"worldMap",
 			"gameObject",
 			"skybox",
-			"lighting"
+			"lighting",
+			"terrain"
 		];
 
 		// check if any of the sub config objects are valid
@@ -54,10 +80,11 @@ class Scene {
 		// -----check all user input, sets all sub configs to be valid-----
 
 		checkWorldMap(config.worldMap);
-		checkFloorCeiling(config.floor, config.ceiling);
+		checkFloorCeiling(config.floor, config.ceiling, config.worldMap);
 		checkGameObject(config.gameObject);
 		checkSkybox(config.skybox);
 		checkLighting(config.lighting);
+		checkTerrain(config.terrain);
 
 		// assign this scenes attributes to sub configs which are now valid
 		this.worldMap = config.worldMap;
@@ -66,13 +93,68 @@ class Scene {
 		this.gameObject = config.gameObject;
 		this.skybox = config.skybox;
 		this.lighting = config.lighting;
+		this.terrain = config.terrain;
+	}
+
+	/*
+	waits for every texture used by a config object to finish loading (or
+	failing) before constructing the scene, so the scene is never drawn with
+	temporary colors. Returns a promise that resolves with the scene (textures
+	from an AssetManager can be used, failed textures have their fallback)
+	*/
+	static load(config) {
+		// check if we recieved a config object
+		if (typeof config !== "object") {
+			throw new Error(
+				"Scene.load must recieve a config object"
+			);
+		}
+
+		let textures = [];
+		collectTextures(config, textures, new Set());
+
+		return Promise.allSettled(
+			textures.map(texture => texture.loaded)
+		).then(function() {
+			return new Scene(config);
+		});
+	}
+
+	/*
+	creates a scene from a level object written by toJSON (or the JSON string
+	of one). Textures are created from the level's asset table, through an
+	AssetManager if one is provided (so they are shared with the rest of the
+	game)
+	*/
+	static fromJSON(json, assets) {
+		return new Scene(readLevel(json, assets, "Scene.fromJSON"));
+	}
+
+	/*
+	same as fromJSON, but returns a promise that resolves with the scene once
+	its textures have finished loading (see Scene.load)
+	*/
+	static loadJSON(json, assets) {
+		return Scene.load(readLevel(json, assets, "Scene.loadJSON"));
+	}
+
+	/*
+	saves the scene as a level object that can be passed to JSON.stringify
+	(which calls toJSON itself) and read back with Scene.fromJSON. Textures
+	must have been loaded from a path, textures made from pixel data can't be
+	saved. Entities are saved as plain entities, and runtime state such as
+	sliding doors and explored cells isn't saved
+	*/
+	toJSON() {
+		return writeLevel(this);
 	}
 
 	/*
 	for now this function is used to add game objects to the scene (entities), 
-	but later it will be used for adding more cellInfo attributes, lighting 
-	options, floor and ceiling options, fog, or any physical thing that
-	could be added durring runtime that affects the game world
+	cellInfo attributes and lights ("light" takes a Light or a Light config 
+	object), but later it will be used for adding more lighting options, floor
+	and ceiling options, fog, or any physical thing that could be added durring
+	runtime that affects the game world
 	*/
 	add(type, object, ...params) {
 		// if the object is an entity, add it to the entities array
@@ -85,11 +167,194 @@ class Scene {
 			formatCellInfo(params[0], this.worldMap.cellInfo[params[0]]);
 		}
 
+		/*
+		if the object is a light (or a light config object), add it to the
+		lights array
+		*/
+		if (type === "light") {
+			let light = object instanceof Light ? object : new Light(object);
+			this.lighting.lights.push(light);
+		}
+
 		// add more if checks here for different object inputs
 
 		return this;
 	}
 
+	/*
+	starts sliding the thin wall (door) of cellInfo[id] towards an open amount
+	in the range [0, 1], duration is the time in seconds a full slide from
+	closed to open takes (0 or undefined moves the thin wall instantly)
+	NOTE: every cell that shares the id shares the same thin wall, so each
+	door should have its own id
+	*/
+	moveDoor(id, open, duration) {
+		// get the thin wall that is going to be moved
+		let cellInfo = this.worldMap.cellInfo[id];
+
+		// check if the id belongs to a thin wall
+		if (cellInfo === undefined || cellInfo.thinWall === undefined) {
+			throw new Error(
+				"Scene.moveDoor must recieve the id of a cellInfo with a " +
+				"thinWall"
+			);
+		}
+
+		// check if the open amount is valid
+		if (typeof open !== "number" || !(open >= 0 && open <= 1)) {
+			throw new Error(
+				"Scene.moveDoor open amount must be a number in the range " +
+				"[0, 1]"
+			);
+		}
+
+		// check if the duration is valid
+		if (duration !== undefined &&
+			(typeof duration !== "number" || duration < 0)) {
+			throw new Error(
+				"Scene.moveDoor duration must be a positive number"
+			);
+		}
+
+		let thinWall = cellInfo.thinWall;
+
+		// set the open amount the thin wall will slide towards
+		thinWall.target = open;
+
+		// if there is no duration, move the thin wall instantly
+		if (!duration) {
+			thinWall.open = open;
+			thinWall.speed = 0;
+		} else {
+			thinWall.speed = 1 / duration;
+		}
+
+		return this;
+	}
+
+	// slides a thin wall (door) fully open over some duration in seconds
+	openDoor(id, duration) {
+		return this.moveDoor(id, 1, duration);
+	}
+
+	// slides a thin wall (door) fully closed over some duration in seconds
+	closeDoor(id, duration) {
+		return this.moveDoor(id, 0, duration);
+	}
+
+	/*
+	advances anything in the scene that changes over time (such as sliding 
+	doors), deltaTime is the time in seconds since the last update
+	*/
+	update(deltaTime) {
+		// check if deltaTime is valid
+		if (typeof deltaTime !== "number") {
+			throw new Error("Scene.update must recieve a number");
+		}
+
+		// slide every thin wall that hasn't reached its target yet
+		for (const id in this.worldMap.cellInfo) {
+			let thinWall = this.worldMap.cellInfo[id].thinWall;
+
+			if (thinWall === undefined || thinWall.open === thinWall.target) {
+				continue;
+			}
+
+			// the furthest the thin wall can slide this update
+			let step = thinWall.speed * deltaTime;
+
+			// slide towards the target without overshooting it
+			if (Math.abs(thinWall.target - thinWall.open) <= step) {
+				thinWall.open = thinWall.target;
+			} else if (thinWall.target > thinWall.open) {
+				thinWall.open += step;
+			} else {
+				thinWall.open -= step;
+			}
+		}
+
+		return this;
+	}
+
+	/*
+	gets the height of the floor in a cell, cells without a floor height (see
+	worldMap.floorHeight) or outside of the map have their floor at 0
+	*/
+	getFloorHeight(cellX, cellY) {
+		let worldMap = this.worldMap;
+
+		if (worldMap.floorHeight === undefined ||
+			cellX < 0 || cellY < 0 ||
+			cellX >= worldMap.width || cellY >= worldMap.height) {
+			return 0;
+		}
+
+		return worldMap.floorHeight[cellX + cellY * worldMap.width];
+	}
+
+	/*
+	gets the height of the ceiling in a cell, cells without a ceiling height
+	(see worldMap.ceilingHeight) or outside of the map have their ceiling at
+	ceiling.height
+	*/
+	getCeilingHeight(cellX, cellY) {
+		let worldMap = this.worldMap;
+
+		if (worldMap.ceilingHeight === undefined ||
+			cellX < 0 || cellY < 0 ||
+			cellX >= worldMap.width || cellY >= worldMap.height) {
+			return this.ceiling.height;
+		}
+
+		return worldMap.ceilingHeight[cellX + cellY * worldMap.width];
+	}
+
+	/*
+	gets the portal on a face of a wall cell (see cellInfo.portals), face is
+	"north", "east", "south" or "west". Returns undefined if the face has no
+	portal, or an object describing how the portal moves whatever goes
+	through it: a point (x, y) comes out at
+	(toX + dx * cos - dy * sin, toY + dx * sin + dy * cos), where
+	dx = x - fromX and dy = y - fromY (from is the center of the face, and to
+	the center of the face of the destination cell), directions are turned by
+	rotation radians
+	*/
+	getPortal(cellX, cellY, face) {
+		let worldMap = this.worldMap;
+
+		if (cellX < 0 || cellY < 0 ||
+			cellX >= worldMap.width || cellY >= worldMap.height) {
+			return undefined;
+		}
+
+		let cellInfo = worldMap.cellInfo[
+			worldMap.data[cellX + cellY * worldMap.width]
+		];
+		if (cellInfo === undefined || cellInfo.portals[face] === undefined) {
+			return undefined;
+		}
+
+		let portal = cellInfo.portals[face];
+		let from = faceDirections[face];
+		let to = faceDirections[portal.face];
+		let rotation = portal.rotation * Math.PI / 180;
+
+		/*
+		faces are on the side of the cell the rays that hit them come from,
+		so the center of a face is half a cell back from the center of the
+		cell
+		*/
+		return {
+			fromX: cellX + 0.5 - from.x / 2,
+			fromY: cellY + 0.5 - from.y / 2,
+			toX: portal.x + 0.5 - to.x / 2,
+			toY: portal.y + 0.5 - to.y / 2,
+			rotation: rotation,
+			cos: Math.round(Math.cos(rotation)),
+			sin: Math.round(Math.sin(rotation))
+		};
+	}
+
 	/*
 	same idea as add, but now removes the specified object (again, right now I 
 	only handle the case when the object is an entity)
@@ -101,6 +366,12 @@ class Scene {
 			this.gameObject.entities.splice(index, 1);
 		}
 
+		// if the object is a light remove it from the array
+		if (object instanceof Light) {
+			let index = this.lighting.lights.indexOf(object);
+			if (index !== -1) this.lighting.lights.splice(index, 1);
+		}
+
 		// add more if checks here for different object inputs
 
 		return this;
@@ -112,8 +383,30 @@ export {
 	Scene
 };
 
+/*
+the direction of the rays that hit each face, faces are named after the
+direction rays travel in (see Ray.faces)
+*/
+const faceDirections = {
+	north: { x: 0, y: -1 },
+	east: { x: 1, y: 0 },
+	south: { x: 0, y: 1 },
+	west: { x: -1, y: 0 }
+};
+
 // ----input handling functions, each modify the given object to be valid-----
 
+/*
+checks if a value can be used as the appearance of a wall, floor, ceiling or
+skybox
+*/
+function isAppearance(appearance) {
+	return appearance instanceof Color ||
+		appearance instanceof Texture ||
+		appearance instanceof TextureRegion ||
+		appearance instanceof AnimatedTexture;
+}
+
 // checks worldMap object
 function checkWorldMap(worldMap) {
 	// check if worldMap.width is valid
@@ -171,6 +464,116 @@ function checkWorldMap(worldMap) {
 	// check if each of the cellInfo attributes are correct
 	for (const property in worldMap.cellInfo) {
 		formatCellInfo(property, worldMap.cellInfo[property]);
+
+		// portals have to lead somewhere inside of the map
+		let portals = worldMap.cellInfo[property].portals;
+		for (const face in portals) {
+			if (portals[face] !== undefined &&
+				(portals[face].x >= worldMap.width ||
+				portals[face].y >= worldMap.height)) {
+				throw new Error(
+					"Scene cellInfo[\"" + property + "\"].portals." + face +
+					" must lead to a cell inside of the map"
+				);
+			}
+		}
+	}
+
+	// check the optional per cell floor and ceiling layers
+	checkLayer(worldMap, "floor");
+	checkLayer(worldMap, "ceiling");
+
+	// check the optional per cell floor and ceiling heights
+	checkHeightLayer(worldMap, "floorHeight");
+	checkHeightLayer(worldMap, "ceilingHeight");
+
+	/*
+	the optional explored layer marks the cells Renderer.renderWalls has seen
+	(1 for seen, 0 for not seen yet), it is used for automaps
+	*/
+	let explored = worldMap.explored;
+	if (explored !== undefined && (
+			(!Array.isArray(explored) && !ArrayBuffer.isView(explored)) ||
+			explored.length !== worldMap.height * worldMap.width)) {
+		throw new Error(
+			"Scene worldMap.explored must be an array with length " +
+			"worldMap.width * worldMap.height"
+		);
+	}
+}
+
+/*
+checks a per cell floor or ceiling layer, a layer is an array that matches the
+data array and holds ids, and an info object maps those ids to an appearance
+(e.g. worldMap.floor and worldMap.floorInfo)
+*/
+function checkLayer(worldMap, name) {
+	let layer = worldMap[name];
+	let infoName = name + "Info";
+
+	// the layer is optional
+	if (layer === undefined) return;
+
+	// check if the layer is an array
+	if (!Array.isArray(layer)) {
+		throw new Error("Scene worldMap." + name + " must be an array");
+	}
+
+	// check if the layer has the correct length
+	if (layer.length !== worldMap.height * worldMap.width) {
+		throw new Error(
+			"Scene worldMap." + name + " length must be worldMap.width *" +
+			" worldMap.height"
+		);
+	}
+
+	// check if the info object is valid
+	if (worldMap[infoName] !== undefined &&
+		typeof worldMap[infoName] !== "object"
+	) {
+		throw new Error("Scene worldMap." + infoName + " must be an object");
+	}
+
+	// if the info object is not defined, set it to an empty object
+	worldMap[infoName] = worldMap[infoName] || {};
+
+	// check if each appearance in the info object is valid
+	for (const id in worldMap[infoName]) {
+		let appearance = worldMap[infoName][id];
+		if (!isAppearance(appearance)) {
+			throw new Error(
+				"Scene worldMap." + infoName + "[\"" + id +
+				"\"] must be of type Color, Texture, TextureRegion or " +
+				"AnimatedTexture"
+			);
+		}
+	}
+}
+
+/*
+checks a per cell height layer, an array that matches the data array and holds
+the height of the floor (worldMap.floorHeight) or of the ceiling
+(worldMap.ceilingHeight) in each cell, cells with different heights are
+joined by steps
+*/
+function checkHeightLayer(worldMap, name) {
+	let layer = worldMap[name];
+
+	// the layer is optional
+	if (layer === undefined) return;
+
+	if (!Array.isArray(layer) ||
+		!layer.every(height => typeof height === "number")) {
+		throw new Error(
+			"Scene worldMap." + name + " must be an array of numbers"
+		);
+	}
+
+	if (layer.length !== worldMap.height * worldMap.width) {
+		throw new Error(
+			"Scene worldMap." + name + " length must be worldMap.width *" +
+			" worldMap.height"
+		);
 	}
 }
 
@@ -212,18 +615,27 @@ function formatCellInfo(id, cellInfo) {
 	cellInfo.elevation =
 		elevation === undefined ? 0 : elevation;
 
-	// the appearance of the wall, can be a texture or color, or an object
+	// check if the thin wall attribute is valid
+	if (cellInfo.thinWall !== undefined) {
+		formatThinWall(id, cellInfo.thinWall);
+	}
+
+	/*
+	the appearance of the wall, can be a texture or color, or an object with
+	north, south, east and west faces (and top and bottom caps, drawn when
+	the camera is above or below the wall)
+	*/
 	let appearance = cellInfo.appearance;
 
 	// check if the appearance attribute is valid
 	if (appearance !== undefined &&
 		typeof appearance !== "object" &&
-		!(appearance instanceof Color) &&
-		!(appearance instanceof Texture)
+		!isAppearance(appearance)
 	) {
 		throw new Error(
 			"Scene cellInfo[\"" + id +
-			"\"].appearance must be of type Color or Texture, or object"
+			"\"].appearance must be of type Color, Texture, TextureRegion " +
+			"or AnimatedTexture, or object"
 		);
 	}
 
@@ -235,14 +647,16 @@ function formatCellInfo(id, cellInfo) {
 
 	/*
 	if user only passed a texture or color, just set all NESW
-	attributes to that appearance
+	attributes (and the caps) to that appearance
 	*/
-	if (appearance instanceof Color || appearance instanceof Texture) {
+	if (isAppearance(appearance)) {
 		appearanceFinal = {
 			north: appearance,
 			south: appearance,
 			east: appearance,
-			west: appearance
+			west: appearance,
+			top: appearance,
+			bottom: appearance
 		};
 	} else {
 		/*
@@ -253,7 +667,9 @@ function formatCellInfo(id, cellInfo) {
 			north: appearance.north,
 			south: appearance.south,
 			east: appearance.east,
-			west: appearance.west
+			west: appearance.west,
+			top: appearance.top,
+			bottom: appearance.bottom
 		};
 	}
 
@@ -263,99 +679,321 @@ function formatCellInfo(id, cellInfo) {
 		if the face isn't a color or texture, default to a transparent
 		color
 		*/
-		if (!(appearanceFinal[face] instanceof Color) &&
-			!(appearanceFinal[face] instanceof Texture)) {
+		if (!isAppearance(appearanceFinal[face])) {
 			appearanceFinal[face] = new Color(0, 0, 0, 0);
 		}
 	}
 
 	// if appearance wasn't provided, set it to a transparent color
 	cellInfo.appearance = appearanceFinal;
+
+	formatReflective(id, cellInfo);
+	formatPortals(id, cellInfo);
+	formatTranslucency(id, cellInfo);
 }
 
-// checks floor or ceiling objects
-function checkFloorCeiling(floor, ceiling) {
-	/*
-	check if the appearance and cellWidth / cellHeight attributes are valid for
-	both the ceiling and the floor
-	*/
-	for (let i = 0; i < 2; i++) {
-		let plane = i === 0 ? floor : ceiling;
-		let debugPlane = i === 0 ? "floor" : "ceiling";
+/*
+reflective faces are mirrors, they show what is in front of them (with the
+face blended over the reflection). reflective is true (every face), false, or
+an object with north, south, east and west booleans, reflectionBlend is how
+much of the reflection shows in the range [0, 1] (default to 1, a perfect
+mirror, lower values are more like polished stone). Thin walls can't be
+reflective
+*/
+function formatReflective(id, cellInfo) {
+	let reflective = cellInfo.reflective;
 
-		// if the provided plane object is empty, disable it
-		if (JSON.stringify(plane) === "{}") {
-			plane.enabled = false;
-		} else {
-			plane.enabled = true;
+	if (reflective !== undefined &&
+		typeof reflective !== "boolean" &&
+		typeof reflective !== "object") {
+		throw new Error(
+			"Scene cellInfo[\"" + id +
+			"\"].reflective must be a boolean or an object"
+		);
+	}
+
+	// the reflective faces in the NESW format
+	let faces = ["north", "south", "east", "west"];
+	let reflectiveFinal = {};
+
+	for (let i = 0; i < faces.length; i++) {
+		reflectiveFinal[faces[i]] = typeof reflective === "object" ?
+			reflective[faces[i]] === true :
+			reflective === true;
+	}
+
+	cellInfo.reflective = reflectiveFinal;
+
+	let blend = cellInfo.reflectionBlend;
+	if (blend !== undefined &&
+		(typeof blend !== "number" || !(blend >= 0 && blend <= 1))) {
+		throw new Error(
+			"Scene cellInfo[\"" + id +
+			"\"].reflectionBlend must be a number in the range [0, 1]"
+		);
+	}
+
+	cellInfo.reflectionBlend = blend === undefined ? 1 : blend;
+}
+
+/*
+portal faces link two places in the map, what is seen through a portal (and
+anything walking into it) comes out of a face of another cell. portals is an
+object with north, south, east and west attributes, each one undefined or an
+object with the x and y coordinates of the destination cell and the face of
+it the portal comes out of. Faces are named after the direction of the rays
+that hit them, so a ray going east into a portal on an "east" face that leads
+to a "west" face keeps going east. rotation is how many degrees the portal
+turns directions, it is decided by the two faces (it only needs to be given
+to check it). Thin walls can't have portals
+NOTE: every cell that shares the id shares the same portals, so each portal
+should have its own id
+*/
+function formatPortals(id, cellInfo) {
+	let portals = cellInfo.portals;
+
+	if (portals !== undefined && typeof portals !== "object") {
+		throw new Error(
+			"Scene cellInfo[\"" + id + "\"].portals must be an object"
+		);
+	}
+
+	// the portals in the NESW format
+	let portalsFinal = {};
+
+	for (const face in faceDirections) {
+		let portal = portals === undefined ? undefined : portals[face];
+		portalsFinal[face] = portal;
+
+		if (portal === undefined) continue;
+
+		let name = "Scene cellInfo[\"" + id + "\"].portals." + face;
+
+		if (cellInfo.thinWall !== undefined) {
+			throw new Error(name + " can't be on a thin wall");
 		}
 
-		// check if the appearance attribute for the floor / ceiling is valid
-		if (plane.appearance !== undefined &&
-			!(plane.appearance instanceof Color) &&
-			!(plane.appearance instanceof Texture)
-		) {
+		if (typeof portal !== "object" ||
+			!Number.isInteger(portal.x) || portal.x < 0 ||
+			!Number.isInteger(portal.y) || portal.y < 0) {
 			throw new Error(
-				"Scene " + debugPlane +
-				".appearance must be of type Color or Texture"
+				name + " must be an object with x and y attributes that are " +
+				"positive integers"
 			);
 		}
 
-		/*
-		if no floor / ceiling appearance was provided, set it to a transparent 
-		color
-		*/
-		plane.appearance = plane.appearance || new Color(0, 0, 0, 0);
-
-		// check if floor / ceiling cellWidth is valid
-		if (plane.cellWidth !== undefined &&
-			typeof plane.cellWidth !== "number"
-		) {
+		if (faceDirections[portal.face] === undefined) {
 			throw new Error(
-				"Scene " + debugPlane + ".cellWidth must be a number"
+				name + ".face must be \"north\", \"east\", \"south\" or " +
+				"\"west\""
 			);
 		}
 
-		// check if floor / ceiling cellHeight is valid
-		if (plane.cellHeight !== undefined &&
-			typeof plane.cellHeight !== "number"
-		) {
+		/*
+		rays come out of the destination face going the opposite way of the
+		rays that hit it, so the rotation turns the direction of the face into
+		the opposite of the destination face's direction
+		*/
+		let from = faceDirections[face];
+		let to = faceDirections[portal.face];
+		let rotation = Math.round(
+			(Math.atan2(-to.y, -to.x) - Math.atan2(from.y, from.x)) /
+			Math.PI * 2
+		) * 90;
+		rotation = (rotation % 360 + 360) % 360;
+
+		if (portal.rotation !== undefined &&
+			(typeof portal.rotation !== "number" ||
+			(portal.rotation % 360 + 360) % 360 !== rotation)) {
 			throw new Error(
-				"Scene " + debugPlane + ".cellHeight must be a number"
+				name + ".rotation must be " + rotation + " (the rotation " +
+				"between the two faces)"
 			);
 		}
 
-		// if neither cellWidth or cellHeight was provided, default to 1
-		plane.cellWidth = plane.cellWidth || 1;
-		plane.cellHeight = plane.cellHeight || 1;
-	}
-
-	// check if the ceiling height attribute is valid
-	if (ceiling.height !== undefined && typeof ceiling.height !== "number") {
-		throw new Error("Scene ceiling.height must be a number");
+		portal.rotation = rotation;
 	}
 
-	// if no height was provided, default to 1
-	ceiling.height = ceiling.height || 1;
+	cellInfo.portals = portalsFinal;
 }
 
-// checks gameObject object
-function checkGameObject(gameObject) {
-	// check if the passed entity array is valid
-	if (gameObject.entities !== undefined &&
-		!Array.isArray(gameObject.entities)
-	) {
+/*
+translucent faces (such as stained glass, water curtains or force fields) are
+blended with what is behind them. opacity is how opaque the faces (and caps)
+are in the range [0, 1] (default to 1), and hasPartialAlpha blends textures
+and colors by their alpha instead of only drawing their fully visible pixels
+(like entities, default to false). Walls with an opacity below 1 or partial
+alpha are translucent, mirrors and portals aren't
+*/
+function formatTranslucency(id, cellInfo) {
+	let opacity = cellInfo.opacity;
+	if (opacity !== undefined &&
+		(typeof opacity !== "number" || !(opacity >= 0 && opacity <= 1))) {
 		throw new Error(
-			"Scene gameObject.entities must be an array of Entities"
+			"Scene cellInfo[\"" + id +
+			"\"].opacity must be a number in the range [0, 1]"
 		);
 	}
 
-	// if no array was provided, set it to an empty array
-	gameObject.entities = gameObject.entities || [];
+	cellInfo.opacity = opacity === undefined ? 1 : opacity;
 
-	// check if resolutionX is valid
-	if (gameObject.resolutionX !== undefined &&
-		(!Number.isInteger(gameObject.resolutionX) ||
+	let hasPartialAlpha = cellInfo.hasPartialAlpha;
+	if (hasPartialAlpha !== undefined && typeof hasPartialAlpha !== "boolean") {
+		throw new Error(
+			"Scene cellInfo[\"" + id + "\"].hasPartialAlpha must be a boolean"
+		);
+	}
+
+	cellInfo.hasPartialAlpha = hasPartialAlpha === true;
+}
+
+/*
+thin walls are planes recessed inside of a cell (such as doors), they have an
+axis, an offset into the cell, and an amount they have slid open
+*/
+function formatThinWall(id, thinWall) {
+	// first check if the attribute is an object
+	if (typeof thinWall !== "object") {
+		throw new Error(
+			"Scene cellInfo[\"" + id +
+			"\"].thinWall must be an object"
+		);
+	}
+
+	/*
+	the axis the thin wall runs along, "x" is a plane with a constant y 
+	coordinate, "y" is a plane with a constant x coordinate
+	*/
+	if (thinWall.axis !== "x" && thinWall.axis !== "y") {
+		throw new Error(
+			"Scene cellInfo[\"" + id +
+			"\"].thinWall.axis must be \"x\" or \"y\""
+		);
+	}
+
+	// check if the offset and open amount are valid
+	let numberAttributes = ["offset", "open"];
+	for (let i = 0; i < numberAttributes.length; i++) {
+		let value = thinWall[numberAttributes[i]];
+		if (value !== undefined &&
+			(typeof value !== "number" || !(value >= 0 && value <= 1))) {
+			throw new Error(
+				"Scene cellInfo[\"" + id + "\"].thinWall." +
+				numberAttributes[i] + " must be a number in the range [0, 1]"
+			);
+		}
+	}
+
+	// default to a thin wall in the center of the cell
+	thinWall.offset = thinWall.offset === undefined ? 0.5 : thinWall.offset;
+
+	// default to a closed thin wall
+	thinWall.open = thinWall.open || 0;
+
+	// check if the door frame appearance is valid
+	if (thinWall.frame !== undefined && !isAppearance(thinWall.frame)) {
+		throw new Error(
+			"Scene cellInfo[\"" + id +
+			"\"].thinWall.frame must be of type Color, Texture, " +
+			"TextureRegion or AnimatedTexture"
+		);
+	}
+
+	// the thin wall isn't sliding anywhere yet (see Scene.moveDoor)
+	thinWall.target = thinWall.open;
+	thinWall.speed = 0;
+}
+
+/*
+checks floor or ceiling objects (the worldMap is used to see if either has a 
+per cell layer)
+*/
+function checkFloorCeiling(floor, ceiling, worldMap) {
+	/*
+	check if the appearance and cellWidth / cellHeight attributes are valid for
+	both the ceiling and the floor
+	*/
+	for (let i = 0; i < 2; i++) {
+		let plane = i === 0 ? floor : ceiling;
+		let debugPlane = i === 0 ? "floor" : "ceiling";
+
+		/*
+		if the provided plane object is empty, disable it (unless it has a per
+		cell layer)
+		*/
+		if (JSON.stringify(plane) === "{}" &&
+			worldMap[debugPlane] === undefined) {
+			plane.enabled = false;
+		} else {
+			plane.enabled = true;
+		}
+
+		// check if the appearance attribute for the floor / ceiling is valid
+		if (plane.appearance !== undefined &&
+			!isAppearance(plane.appearance)
+		) {
+			throw new Error(
+				"Scene " + debugPlane +
+				".appearance must be of type Color, Texture, TextureRegion " +
+				"or AnimatedTexture"
+			);
+		}
+
+		/*
+		if no floor / ceiling appearance was provided, set it to a transparent 
+		color
+		*/
+		plane.appearance = plane.appearance || new Color(0, 0, 0, 0);
+
+		// check if floor / ceiling cellWidth is valid
+		if (plane.cellWidth !== undefined &&
+			typeof plane.cellWidth !== "number"
+		) {
+			throw new Error(
+				"Scene " + debugPlane + ".cellWidth must be a number"
+			);
+		}
+
+		// check if floor / ceiling cellHeight is valid
+		if (plane.cellHeight !== undefined &&
+			typeof plane.cellHeight !== "number"
+		) {
+			throw new Error(
+				"Scene " + debugPlane + ".cellHeight must be a number"
+			);
+		}
+
+		// if neither cellWidth or cellHeight was provided, default to 1
+		plane.cellWidth = plane.cellWidth || 1;
+		plane.cellHeight = plane.cellHeight || 1;
+	}
+
+	// check if the ceiling height attribute is valid
+	if (ceiling.height !== undefined && typeof ceiling.height !== "number") {
+		throw new Error("Scene ceiling.height must be a number");
+	}
+
+	// if no height was provided, default to 1
+	ceiling.height = ceiling.height || 1;
+}
+
+// checks gameObject object
+function checkGameObject(gameObject) {
+	// check if the passed entity array is valid
+	if (gameObject.entities !== undefined &&
+		!Array.isArray(gameObject.entities)
+	) {
+		throw new Error(
+			"Scene gameObject.entities must be an array of Entities"
+		);
+	}
+
+	// if no array was provided, set it to an empty array
+	gameObject.entities = gameObject.entities || [];
+
+	// check if resolutionX is valid
+	if (gameObject.resolutionX !== undefined &&
+		(!Number.isInteger(gameObject.resolutionX) ||
 			gameObject.resolutionX < 0)
 	) {
 		throw new Error(
@@ -382,11 +1020,11 @@ function checkGameObject(gameObject) {
 function checkSkybox(skybox) {
 	// check if the provided appearance attribute is valid
 	if (skybox.appearance !== undefined &&
-		!(skybox.appearance instanceof Color) &&
-		!(skybox.appearance instanceof Texture)
+		!isAppearance(skybox.appearance)
 	) {
 		throw new Error(
-			"Scene skybox.appearance must be of type Color or Texture"
+			"Scene skybox.appearance must be of type Color, Texture, " +
+			"TextureRegion or AnimatedTexture"
 		);
 	}
 
@@ -430,10 +1068,815 @@ function checkLighting(lighting) {
 	lighting.ambientLight = lighting.ambientLight === undefined ? 1 :
 		lighting.ambientLight;
 
+	// check if the passed lights array is valid
+	if (lighting.lights !== undefined &&
+		(!Array.isArray(lighting.lights) ||
+			!lighting.lights.every(light => light instanceof Light))
+	) {
+		throw new Error("Scene lighting.lights must be an array of Lights");
+	}
+
+	// if no array was provided, set it to an empty array
+	lighting.lights = lighting.lights || [];
+
+	// check if the fog object is valid
+	if (lighting.fog !== undefined && typeof lighting.fog !== "object") {
+		throw new Error("Scene lighting.fog must be an object");
+	}
+
+	// fog is only enabled if a fog object was provided
+	let fogEnabled = lighting.fog !== undefined;
+	lighting.fog = lighting.fog || {};
+	checkFog(lighting.fog);
+	lighting.fog.enabled = fogEnabled;
+
 	/*
 	set a flag indecating whether or not lighting is enabled (if both ambient
 	and side light are 1 then disable lighting)
 	*/
 	lighting.enabled = !((lighting.sideShade === 0) &&
 		(lighting.ambientLight === 1));
-}
\ No newline at end of file
+}
+
+/*
+checks fog object, fog fades everything towards its color between the start
+and end distances (linear) or with some density past the start distance
+(exponential)
+*/
+function checkFog(fog) {
+	// check if the fog color is valid
+	if (fog.color !== undefined && !(fog.color instanceof Color)) {
+		throw new Error("Scene lighting.fog.color must be of type Color");
+	}
+
+	// default to a grey fog
+	fog.color = fog.color || new Color(128, 128, 128, 255);
+
+	// check if the mode is valid
+	if (fog.mode !== undefined &&
+		fog.mode !== "linear" &&
+		fog.mode !== "exponential") {
+		throw new Error(
+			"Scene lighting.fog.mode must be \"linear\" or \"exponential\""
+		);
+	}
+
+	// default to linear fog
+	fog.mode = fog.mode || "linear";
+
+	// the rest of the fog attributes are all positive numbers
+	let numberAttributes = ["start", "end", "density", "skyboxHeight"];
+	for (let i = 0; i < numberAttributes.length; i++) {
+		let value = fog[numberAttributes[i]];
+		if (value !== undefined && (typeof value !== "number" || value < 0)) {
+			throw new Error(
+				"Scene lighting.fog." + numberAttributes[i] +
+				" must be a positive number"
+			);
+		}
+	}
+
+	// default to fog that starts at the camera and is full at 10 units
+	fog.start = fog.start || 0;
+	fog.end = fog.end === undefined ? 10 : fog.end;
+
+	// check if the end of the fog is past its start
+	if (fog.mode === "linear" && fog.end <= fog.start) {
+		throw new Error(
+			"Scene lighting.fog.end must be greater than lighting.fog.start"
+		);
+	}
+
+	// how thick exponential fog is
+	fog.density = fog.density === undefined ? 0.3 : fog.density;
+
+	/*
+	whether or not the fog covers the horizon of the skybox, skyboxHeight is 
+	how much of the screen height above the horizon the fog fades out over
+	*/
+	fog.skybox = !!fog.skybox;
+	fog.skyboxHeight = fog.skyboxHeight === undefined ?
+		0.25 : fog.skyboxHeight;
+}
+
+// checks terrain object (used by the voxelspace renderer)
+function checkTerrain(terrain) {
+	// check if the provided heightmap is valid
+	if (terrain.heightmap !== undefined &&
+		!(terrain.heightmap instanceof Texture)
+	) {
+		throw new Error("Scene terrain.heightmap must be of type Texture");
+	}
+
+	// check if the provided colormap is valid
+	if (terrain.colormap !== undefined &&
+		!(terrain.colormap instanceof Color) &&
+		!(terrain.colormap instanceof Texture)
+	) {
+		throw new Error(
+			"Scene terrain.colormap must be of type Color or Texture"
+		);
+	}
+
+	// terrain is only rendered if a heightmap was provided
+	terrain.enabled = terrain.heightmap !== undefined;
+
+	// if no colormap was provided, default to an opaque grey color
+	terrain.colormap = terrain.colormap || new Color(128, 128, 128, 255);
+
+	// the rest of the terrain attributes are all numbers
+	let numberAttributes = [
+		"cellWidth",
+		"cellHeight",
+		"height",
+		"elevation",
+		"drawDistance",
+		"stepSize"
+	];
+
+	// check if each of the number attributes are valid
+	for (let i = 0; i < numberAttributes.length; i++) {
+		let value = terrain[numberAttributes[i]];
+		if (value !== undefined && typeof value !== "number") {
+			throw new Error(
+				"Scene terrain." + numberAttributes[i] + " must be a number"
+			);
+		}
+	}
+
+	/*
+	cellWidth and cellHeight are the world dimentions that one copy of the
+	heightmap and colormap covers (the maps repeat past that), default to 64
+	*/
+	terrain.cellWidth = terrain.cellWidth || 64;
+	terrain.cellHeight = terrain.cellHeight || 64;
+
+	// world height of a fully white heightmap pixel, default to 1
+	terrain.height = terrain.height === undefined ? 1 : terrain.height;
+
+	// world height of a fully black heightmap pixel, default to 0
+	terrain.elevation = terrain.elevation || 0;
+
+	// how far out the terrain is drawn, default to 64 units
+	terrain.drawDistance = terrain.drawDistance || 64;
+
+	/*
+	the distance between each terrain slice, relative to the distance of the
+	slice from the camera (smaller is more detailed but slower)
+	*/
+	terrain.stepSize = terrain.stepSize || 0.01;
+}
+
+/*
+finds every texture referenced by an object (textures inside of texture
+regions, animated textures, directional sprites, entities, ...), visited
+holds the objects that were already searched
+*/
+function collectTextures(object, textures, visited) {
+	if (typeof object !== "object" || object === null ||
+		visited.has(object) || ArrayBuffer.isView(object)) {
+		return;
+	}
+
+	visited.add(object);
+
+	if (object instanceof Texture) {
+		textures.push(object);
+		return;
+	}
+
+	let keys = Object.keys(object);
+	for (let i = 0; i < keys.length; i++) {
+		collectTextures(object[keys[i]], textures, visited);
+	}
+}
+
+// -----level format functions, used by Scene.toJSON and Scene.fromJSON-----
+
+/*
+A level object mirrors the Scene config object (see the Scene constructor),
+with everything that isn't plain data replaced:
+{
+	version: 1,
+	assets: {
+		textures: [{ path, temporaryColor }, ...]
+	},
+	worldMap: {
+		width, height, data, floor, floorInfo, ceiling, ceilingInfo,
+		floorHeight, ceilingHeight,
+		cellInfo: {
+			id: {
+				height, elevation, appearance, thinWall, reflective,
+				reflectionBlend, portals, opacity, hasPartialAlpha
+			}, ...
+		}
+	},
+	floor: { appearance, cellWidth, cellHeight },
+	ceiling: { appearance, cellWidth, cellHeight, height },
+	gameObject: {
+		resolutionX, resolutionY,
+		entities: [{
+			appearance, position, direction, size, tint, isVisible,
+			affectedByLighting, hasPartialAlpha
+		}, ...]
+	},
+	skybox: { appearance, ignoreLighting },
+	lighting: {
+		sideShade, ambientLight, fog,
+		lights: [{ position, color, intensity, radius, falloff, enabled }, ...]
+	},
+	terrain: { heightmap, colormap, cellWidth, ... }
+}
+Colors are arrays of [red, green, blue, alpha]. Appearances are objects with a
+type: { type: "color", color }, { type: "texture", texture },
+{ type: "region", texture, x, y, width, height },
+{ type: "animated", frames, durations, mode, scroll } or
+{ type: "directional", views }, where texture is an index into the asset table
+(so each texture is only listed once) and frames / views are appearances.
+A cellInfo appearance is a single appearance, or an object with north, south,
+east, west, top and bottom appearances. Disabled floors, ceilings, skyboxes,
+fog and terrain are left out.
+*/
+
+// writes the level object of a scene
+function writeLevel(scene) {
+	// the asset table, and the index of each texture in it
+	let assets = {
+		textures: [],
+		indices: new Map()
+	};
+
+	let worldMap = scene.worldMap;
+	let level = {
+		version: Scene.jsonVersion,
+		assets: {
+			textures: assets.textures
+		},
+		worldMap: {
+			width: worldMap.width,
+			height: worldMap.height,
+			data: Array.from(worldMap.data),
+			cellInfo: {}
+		}
+	};
+
+	for (const id in worldMap.cellInfo) {
+		level.worldMap.cellInfo[id] =
+			writeCellInfo(worldMap.cellInfo[id], assets);
+	}
+
+	// the per cell floor and ceiling layers
+	let layers = ["floor", "ceiling"];
+	for (let i = 0; i < layers.length; i++) {
+		let name = layers[i];
+		if (worldMap[name] === undefined) continue;
+
+		level.worldMap[name] = Array.from(worldMap[name]);
+		level.worldMap[name + "Info"] = {};
+		for (const id in worldMap[name + "Info"]) {
+			level.worldMap[name + "Info"][id] =
+				writeAppearance(worldMap[name + "Info"][id], assets);
+		}
+	}
+
+	// the per cell floor and ceiling heights
+	let heightLayers = ["floorHeight", "ceilingHeight"];
+	for (let i = 0; i < heightLayers.length; i++) {
+		if (worldMap[heightLayers[i]] !== undefined) {
+			level.worldMap[heightLayers[i]] =
+				Array.from(worldMap[heightLayers[i]]);
+		}
+	}
+
+	// the floor and ceiling planes
+	for (let i = 0; i < layers.length; i++) {
+		let plane = scene[layers[i]];
+		if (!plane.enabled) continue;
+
+		level[layers[i]] = {
+			appearance: writeAppearance(plane.appearance, assets),
+			cellWidth: plane.cellWidth,
+			cellHeight: plane.cellHeight
+		};
+	}
+
+	if (level.ceiling !== undefined) {
+		level.ceiling.height = scene.ceiling.height;
+	}
+
+	level.gameObject = {
+		resolutionX: scene.gameObject.resolutionX,
+		resolutionY: scene.gameObject.resolutionY,
+		entities: scene.gameObject.entities.map(
+			entity => writeEntity(entity, assets)
+		)
+	};
+
+	if (scene.skybox.enabled) {
+		level.skybox = {
+			appearance: writeAppearance(scene.skybox.appearance, assets),
+			ignoreLighting: scene.skybox.ignoreLighting
+		};
+	}
+
+	let lighting = scene.lighting;
+	level.lighting = {
+		sideShade: lighting.sideShade,
+		ambientLight: lighting.ambientLight,
+		lights: lighting.lights.map(function(light) {
+			return {
+				position: {
+					x: light.position.x,
+					y: light.position.y,
+					z: light.position.z
+				},
+				color: writeColor(light.color),
+				intensity: light.intensity,
+				radius: light.radius,
+				falloff: light.falloff,
+				enabled: light.enabled
+			};
+		})
+	};
+
+	let fog = lighting.fog;
+	if (fog.enabled) {
+		level.lighting.fog = {
+			color: writeColor(fog.color),
+			mode: fog.mode,
+			start: fog.start,
+			end: fog.end,
+			density: fog.density,
+			skybox: fog.skybox,
+			skyboxHeight: fog.skyboxHeight
+		};
+	}
+
+	let terrain = scene.terrain;
+	if (terrain.enabled) {
+		level.terrain = {
+			heightmap: writeAppearance(terrain.heightmap, assets),
+			colormap: writeAppearance(terrain.colormap, assets),
+			cellWidth: terrain.cellWidth,
+			cellHeight: terrain.cellHeight,
+			height: terrain.height,
+			elevation: terrain.elevation,
+			drawDistance: terrain.drawDistance,
+			stepSize: terrain.stepSize
+		};
+	}
+
+	return level;
+}
+
+// writes a cellInfo object, a face appearance is only written once
+function writeCellInfo(cellInfo, assets) {
+	let faces = cellInfo.appearance;
+
+	let appearance;
+	if (faces.north === faces.south && faces.north === faces.east &&
+		faces.north === faces.west && faces.north === faces.top &&
+		faces.north === faces.bottom) {
+		appearance = writeAppearance(faces.north, assets);
+	} else {
+		appearance = {
+			north: writeAppearance(faces.north, assets),
+			south: writeAppearance(faces.south, assets),
+			east: writeAppearance(faces.east, assets),
+			west: writeAppearance(faces.west, assets),
+			top: writeAppearance(faces.top, assets),
+			bottom: writeAppearance(faces.bottom, assets)
+		};
+	}
+
+	let result = {
+		height: cellInfo.height,
+		elevation: cellInfo.elevation,
+		appearance: appearance
+	};
+
+	// a sliding door is saved where it currently is
+	let thinWall = cellInfo.thinWall;
+	if (thinWall !== undefined) {
+		result.thinWall = {
+			axis: thinWall.axis,
+			offset: thinWall.offset,
+			open: thinWall.open
+		};
+
+		if (thinWall.frame !== undefined) {
+			result.thinWall.frame = writeAppearance(thinWall.frame, assets);
+		}
+	}
+
+	// mirrors are only saved if the cell has a reflective face
+	let reflective = cellInfo.reflective;
+	if (reflective.north || reflective.south || reflective.east ||
+		reflective.west) {
+		result.reflective = Object.assign({}, reflective);
+		result.reflectionBlend = cellInfo.reflectionBlend;
+	}
+
+	// translucency is only saved if the cell is translucent
+	if (cellInfo.opacity !== 1 || cellInfo.hasPartialAlpha) {
+		result.opacity = cellInfo.opacity;
+		result.hasPartialAlpha = cellInfo.hasPartialAlpha;
+	}
+
+	// portals are only saved if the cell has one
+	let portals = cellInfo.portals;
+	if (portals.north || portals.south || portals.east || portals.west) {
+		result.portals = {};
+
+		for (const face in portals) {
+			if (portals[face] !== undefined) {
+				result.portals[face] = Object.assign({}, portals[face]);
+			}
+		}
+	}
+
+	return result;
+}
+
+// writes an entity, subclasses of Entity are saved as plain entities
+function writeEntity(entity, assets) {
+	let position = entity.orientation.position;
+	let direction = entity.orientation.direction;
+
+	let result = {
+		appearance: writeAppearance(entity.appearance, assets),
+		position: {
+			x: position.x,
+			y: position.y,
+			z: position.z
+		},
+		direction: {
+			x: direction.x,
+			y: direction.y
+		},
+		size: {
+			x: entity.size.x,
+			y: entity.size.y
+		},
+		isVisible: entity.isVisible,
+		affectedByLighting: entity.affectedByLighting,
+		hasPartialAlpha: entity.hasPartialAlpha
+	};
+
+	if (entity.tint !== undefined) result.tint = writeColor(entity.tint);
+
+	return result;
+}
+
+// writes an appearance, adding its textures to the asset table
+function writeAppearance(appearance, assets) {
+	if (appearance instanceof Color) {
+		return {
+			type: "color",
+			color: writeColor(appearance)
+		};
+	}
+
+	if (appearance instanceof Texture) {
+		return {
+			type: "texture",
+			texture: writeTexture(appearance, assets)
+		};
+	}
+
+	if (appearance instanceof TextureRegion) {
+		return {
+			type: "region",
+			texture: writeTexture(appearance.texture, assets),
+			x: appearance.x,
+			y: appearance.y,
+			width: appearance.width,
+			height: appearance.height
+		};
+	}
+
+	if (appearance instanceof AnimatedTexture) {
+		return {
+			type: "animated",
+			frames: appearance.frames.map(
+				frame => writeAppearance(frame, assets)
+			),
+			durations: appearance.durations.slice(),
+			mode: appearance.mode,
+			scroll: {
+				x: appearance.scroll.x,
+				y: appearance.scroll.y
+			}
+		};
+	}
+
+	if (appearance instanceof DirectionalSprite) {
+		return {
+			type: "directional",
+			views: appearance.views.map(view => writeAppearance(view, assets))
+		};
+	}
+
+	throw new Error(
+		"Scene.toJSON can't save an appearance that isn't a Color, Texture, " +
+		"TextureRegion, AnimatedTexture or DirectionalSprite"
+	);
+}
+
+// gets the index of a texture in the asset table, adding it if it's new
+function writeTexture(texture, assets) {
+	if (assets.indices.has(texture)) return assets.indices.get(texture);
+
+	if (typeof texture.path !== "string") {
+		throw new Error(
+			"Scene.toJSON can't save a texture that wasn't loaded from a path"
+		);
+	}
+
+	let index = assets.textures.length;
+	assets.textures.push({
+		path: texture.path,
+		temporaryColor: writeColor(texture.temporaryColor)
+	});
+	assets.indices.set(texture, index);
+
+	return index;
+}
+
+// writes a color as an array of [red, green, blue, alpha]
+function writeColor(color) {
+	return [color.red, color.green, color.blue, color.alpha];
+}
+
+/*
+reads a level object (or its JSON string) into a Scene config object, the
+Scene constructor checks the rest of the level. name is the function that
+was called, for error messages
+*/
+function readLevel(json, assets, name) {
+	let level = typeof json === "string" ? JSON.parse(json) : json;
+
+	// check if we recieved a level object
+	if (typeof level !== "object" || level === null) {
+		throw new Error(
+			name + " must recieve a level object or a JSON string"
+		);
+	}
+
+	// check if the asset manager is valid
+	if (assets !== undefined && !(assets instanceof AssetManager)) {
+		throw new Error(name + " assets must be of type AssetManager");
+	}
+
+	// check if the level format can be read
+	if (!Number.isInteger(level.version) || level.version < 1 ||
+		level.version > Scene.jsonVersion) {
+		throw new Error(
+			name + " can only read level versions 1 to " +
+			Scene.jsonVersion + ", recieved version " + level.version
+		);
+	}
+
+	let textures = readAssets(level.assets, assets);
+
+	let config = {};
+
+	let worldMap = level.worldMap || {};
+	config.worldMap = {
+		width: worldMap.width,
+		height: worldMap.height,
+		data: copyArray(worldMap.data),
+		cellInfo: {}
+	};
+
+	for (const id in worldMap.cellInfo) {
+		config.worldMap.cellInfo[id] =
+			readCellInfo(worldMap.cellInfo[id], textures);
+	}
+
+	// the per cell floor and ceiling layers
+	let layers = ["floor", "ceiling"];
+	for (let i = 0; i < layers.length; i++) {
+		let name = layers[i];
+		if (worldMap[name] === undefined) continue;
+
+		config.worldMap[name] = copyArray(worldMap[name]);
+		config.worldMap[name + "Info"] = {};
+		for (const id in worldMap[name + "Info"]) {
+			config.worldMap[name + "Info"][id] =
+				readAppearance(worldMap[name + "Info"][id], textures);
+		}
+	}
+
+	// the per cell floor and ceiling heights
+	config.worldMap.floorHeight = copyArray(worldMap.floorHeight);
+	config.worldMap.ceilingHeight = copyArray(worldMap.ceilingHeight);
+
+	// the floor and ceiling planes
+	for (let i = 0; i < layers.length; i++) {
+		let plane = level[layers[i]];
+		if (plane === undefined) continue;
+
+		config[layers[i]] = Object.assign({}, plane, {
+			appearance: readOptionalAppearance(plane.appearance, textures)
+		});
+	}
+
+	let gameObject = level.gameObject || {};
+	config.gameObject = {
+		resolutionX: gameObject.resolutionX,
+		resolutionY: gameObject.resolutionY,
+		entities: (gameObject.entities || []).map(function(entity) {
+			return new Entity(Object.assign({}, entity, {
+				appearance: readAppearance(entity.appearance, textures),
+				tint: readOptionalColor(entity.tint)
+			}));
+		})
+	};
+
+	if (level.skybox !== undefined) {
+		config.skybox = Object.assign({}, level.skybox, {
+			appearance: readOptionalAppearance(
+				level.skybox.appearance,
+				textures
+			)
+		});
+	}
+
+	let lighting = level.lighting || {};
+	config.lighting = {
+		sideShade: lighting.sideShade,
+		ambientLight: lighting.ambientLight,
+		lights: (lighting.lights || []).map(function(light) {
+			return new Light(Object.assign({}, light, {
+				color: readOptionalColor(light.color)
+			}));
+		})
+	};
+
+	if (lighting.fog !== undefined) {
+		config.lighting.fog = Object.assign({}, lighting.fog, {
+			color: readOptionalColor(lighting.fog.color)
+		});
+	}
+
+	if (level.terrain !== undefined) {
+		config.terrain = Object.assign({}, level.terrain, {
+			heightmap: readOptionalAppearance(
+				level.terrain.heightmap,
+				textures
+			),
+			colormap: readOptionalAppearance(level.terrain.colormap, textures)
+		});
+	}
+
+	return config;
+}
+
+// creates the textures of a level's asset table
+function readAssets(table, assets) {
+	let entries = table === undefined ? [] : table.textures;
+
+	if (!Array.isArray(entries)) {
+		throw new Error("Scene level assets.textures must be an array");
+	}
+
+	return entries.map(function(entry) {
+		if (typeof entry !== "object" || entry === null ||
+			typeof entry.path !== "string") {
+			throw new Error(
+				"Scene level assets.textures entries must be objects with " +
+				"a path"
+			);
+		}
+
+		let config = {
+			path: entry.path,
+			temporaryColor: readOptionalColor(entry.temporaryColor)
+		};
+
+		return assets === undefined ?
+			new Texture(config) : assets.getTexture(config);
+	});
+}
+
+// reads a cellInfo object, its appearance can be a single appearance
+function readCellInfo(cellInfo, textures) {
+	let result = Object.assign({}, cellInfo);
+
+	let appearance = cellInfo.appearance;
+	if (appearance !== undefined && appearance.type === undefined) {
+		result.appearance = {
+			north: readOptionalAppearance(appearance.north, textures),
+			south: readOptionalAppearance(appearance.south, textures),
+			east: readOptionalAppearance(appearance.east, textures),
+			west: readOptionalAppearance(appearance.west, textures),
+			top: readOptionalAppearance(appearance.top, textures),
+			bottom: readOptionalAppearance(appearance.bottom, textures)
+		};
+	} else {
+		result.appearance = readOptionalAppearance(appearance, textures);
+	}
+
+	if (cellInfo.thinWall !== undefined) {
+		result.thinWall = Object.assign({}, cellInfo.thinWall, {
+			frame: readOptionalAppearance(cellInfo.thinWall.frame, textures)
+		});
+	}
+
+	// the scene fills in the rotation of portals, so copy them
+	if (typeof cellInfo.portals === "object" && cellInfo.portals !== null) {
+		result.portals = {};
+
+		for (const face in cellInfo.portals) {
+			let portal = cellInfo.portals[face];
+			result.portals[face] = typeof portal === "object" ?
+				Object.assign({}, portal) : portal;
+		}
+	}
+
+	return result;
+}
+
+// reads an appearance object, textures are indices into the asset table
+function readAppearance(appearance, textures) {
+	if (typeof appearance !== "object" || appearance === null) {
+		throw new Error("Scene level appearances must be objects");
+	}
+
+	switch (appearance.type) {
+		case "color":
+			return readColor(appearance.color);
+		case "texture":
+			return readTexture(appearance.texture, textures);
+		case "region":
+			return new TextureRegion({
+				texture: readTexture(appearance.texture, textures),
+				x: appearance.x,
+				y: appearance.y,
+				width: appearance.width,
+				height: appearance.height
+			});
+		case "animated":
+			return new AnimatedTexture({
+				frames: (appearance.frames || []).map(
+					frame => readAppearance(frame, textures)
+				),
+				duration: appearance.durations,
+				mode: appearance.mode,
+				scroll: appearance.scroll
+			});
+		case "directional":
+			return new DirectionalSprite({
+				views: (appearance.views || []).map(
+					view => readAppearance(view, textures)
+				)
+			});
+	}
+
+	throw new Error(
+		"Scene level appearance type must be \"color\", \"texture\", " +
+		"\"region\", \"animated\" or \"directional\""
+	);
+}
+
+// reads an appearance that can be left out
+function readOptionalAppearance(appearance, textures) {
+	return appearance === undefined ?
+		undefined : readAppearance(appearance, textures);
+}
+
+// gets a texture of the asset table from its index
+function readTexture(index, textures) {
+	if (!Number.isInteger(index) || index < 0 || index >= textures.length) {
+		throw new Error(
+			"Scene level texture " + index + " isn't in the asset table"
+		);
+	}
+
+	return textures[index];
+}
+
+// reads a color array, Color checks the components itself
+function readColor(color) {
+	if (!Array.isArray(color) || color.length !== 4) {
+		throw new Error(
+			"Scene level colors must be arrays of [red, green, blue, alpha]"
+		);
+	}
+
+	return new Color(color[0], color[1], color[2], color[3]);
+}
+
+// reads a color that can be left out
+function readOptionalColor(color) {
+	return color === undefined ? undefined : readColor(color);
+}
+
+/*
+copies the arrays of a level, so the scene doesn't change the level object
+(anything else is left for the Scene constructor to reject)
+*/
+function copyArray(array) {
+	return Array.isArray(array) ? array.slice() : array;
+}
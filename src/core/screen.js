@@ -36,6 +36,18 @@ class Screen {
 		this.renderWidth = Math.round(width * quality) || 1;
 		this.renderHeight = Math.round(height * quality) || 1;
 
+		// create the canvas along with the pixel and depth buffers
+		this.createBuffers();
+
+		// aspect ratio used internally by renderer
+		this.aspectRatio = this.renderWidth / this.renderHeight;
+	}
+
+	/*
+	creates the canvas element, the pixels array and the depth buffer (screens
+	that don't draw to a canvas override this)
+	*/
+	createBuffers() {
 		// initialize the canvas element
 		this.htmlCanvasElement = document.createElement("canvas");
 
@@ -79,9 +91,6 @@ class Screen {
 		for (let i = 0; i < this.renderHeight * this.renderWidth; i++) {
 			this.depthBuffer[i] = Infinity;
 		}
-
-		// aspect ratio used internally by renderer
-		this.aspectRatio = this.renderWidth / this.renderHeight;
 	}
 
 	// clears the pixel and depth buffers
@@ -112,6 +121,26 @@ class Screen {
 		).data;
 	}
 
+	/*
+	blends a color over the pixel at index, alpha is how much of the color
+	shows in the range [0, 1]
+	*/
+	blendPixel(index, red, green, blue, alpha) {
+		// an invisible color changes nothing
+		if (alpha === 0) return;
+
+		this.pixels[index * 4] = Math.floor(
+			red * alpha + this.pixels[index * 4] * (1 - alpha)
+		);
+		this.pixels[index * 4 + 1] = Math.floor(
+			green * alpha + this.pixels[index * 4 + 1] * (1 - alpha)
+		);
+		this.pixels[index * 4 + 2] = Math.floor(
+			blue * alpha + this.pixels[index * 4 + 2] * (1 - alpha)
+		);
+		this.pixels[index * 4 + 3] = 255;
+	}
+
 	// draws the pixels data array to the screen
 	update() {
 		let tempImageData = new ImageData(
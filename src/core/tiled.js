@@ -0,0 +1,459 @@
+/*
+Imports maps made with the Tiled map editor (https://www.mapeditor.org) from
+their JSON export. Each tile layer becomes a layer of the world map (walls,
+floor or ceiling) with the tiles' ids as cell ids, the tileset images are cut
+into TextureRegions, and an object layer becomes the scene's entities.
+Tiles can have custom properties:
+height and elevation, the size of the wall a tile makes (see Scene cellInfo),
+sky, a ceiling tile that shows the skybox instead (see Scene.skyCell).
+Objects can have custom properties:
+z, the height of the entity above the floor,
+color, the appearance of an object that isn't a tile.
+Flipped and rotated tiles are imported without their flips.
+*/
+
+import {
+	Scene
+} from "/src/core/scene.js";
+import {
+	Entity
+} from "/src/core/entity.js";
+import {
+	Color
+} from "/src/resources/color.js";
+import {
+	Texture
+} from "/src/resources/texture.js";
+import {
+	TextureRegion
+} from "/src/resources/textureRegion.js";
+import {
+	AnimatedTexture
+} from "/src/resources/animatedTexture.js";
+import {
+	AssetManager
+} from "/src/resources/assetManager.js";
+
+let Tiled = {};
+
+/*
+the names of the layers that are imported by default, if there is no tile
+layer named walls the first other tile layer is used, and if there is no
+object layer named entities every object layer is used
+*/
+Tiled.layers = {
+	walls: "walls",
+	floor: "floor",
+	ceiling: "ceiling",
+	entities: "entities"
+};
+
+/*
+creates a scene from a Tiled map (the parsed JSON export, or its JSON
+string), config is an optional object, recognized attributes are:
+basePath, the path the tileset image paths are relative to (the folder of the
+map file, default to "").
+assets, an AssetManager the tileset textures are loaded through.
+layers, the names of the walls, floor, ceiling and entities layers (see
+Tiled.layers).
+tilesets, an object of external tileset paths (the tileset's "source") to the
+parsed tileset JSON, Tiled doesn't embed those in the map.
+scene, a Scene config object the imported world map and entities are added to
+(for the skybox, lighting, floor and ceiling planes, ...).
+*/
+Tiled.createScene = function(map, config) {
+	config = config || {};
+
+	if (typeof map === "string") map = JSON.parse(map);
+
+	// check if we recieved a map
+	if (typeof map !== "object" || map === null ||
+		!Number.isInteger(map.width) || !Number.isInteger(map.height) ||
+		!Array.isArray(map.layers)) {
+		throw new Error(
+			"Tiled.createScene must recieve a Tiled map with width, height " +
+			"and layers"
+		);
+	}
+
+	// check if the config is valid
+	if (typeof config !== "object") {
+		throw new Error("Tiled.createScene config must be an object");
+	}
+
+	if (config.assets !== undefined &&
+		!(config.assets instanceof AssetManager)) {
+		throw new Error(
+			"Tiled.createScene assets must be of type AssetManager"
+		);
+	}
+
+	// infinite maps are split into chunks, which the world map doesn't have
+	if (map.infinite) {
+		throw new Error("Tiled.createScene can't import infinite maps");
+	}
+
+	let names = Object.assign({}, Tiled.layers, config.layers);
+	let tilesets = readTilesets(map, config);
+
+	let sceneConfig = Object.assign({}, config.scene);
+	let worldMap = Object.assign({}, sceneConfig.worldMap, {
+		width: map.width,
+		height: map.height
+	});
+	sceneConfig.worldMap = worldMap;
+
+	let tileLayers = map.layers.filter(layer => layer.type === "tilelayer");
+	let objectLayers = map.layers.filter(
+		layer => layer.type === "objectgroup"
+	);
+
+	// the walls, default to the first layer that isn't the floor or ceiling
+	let walls = findLayer(tileLayers, names.walls) || tileLayers.find(
+		layer => layer.name !== names.floor && layer.name !== names.ceiling
+	);
+	worldMap.data = walls === undefined ?
+		undefined : readLayerData(map, walls);
+	worldMap.cellInfo = Object.assign({}, worldMap.cellInfo);
+
+	if (worldMap.data !== undefined) {
+		forEachId(worldMap.data, function(id) {
+			let tile = getTile(tilesets, id);
+			worldMap.cellInfo[id] = {
+				appearance: tile.appearance,
+				height: tile.properties.height,
+				elevation: tile.properties.elevation
+			};
+		});
+	}
+
+	// the per cell floor and ceiling (see Scene worldMap.floor)
+	let planes = ["floor", "ceiling"];
+	for (let i = 0; i < planes.length; i++) {
+		let layer = findLayer(tileLayers, names[planes[i]]);
+		if (layer === undefined || layer === walls) continue;
+
+		let data = readLayerData(map, layer);
+		let info = {};
+
+		forEachId(data, function(id) {
+			info[id] = getTile(tilesets, id).appearance;
+		});
+
+		// open sky ceiling tiles
+		if (planes[i] === "ceiling") {
+			for (let j = 0; j < data.length; j++) {
+				if (data[j] === 0) continue;
+
+				if (getTile(tilesets, data[j]).properties.sky) {
+					data[j] = Scene.skyCell;
+				}
+			}
+		}
+
+		worldMap[planes[i]] = data;
+		worldMap[planes[i] + "Info"] = info;
+	}
+
+	// the entities
+	let entityLayer = findLayer(objectLayers, names.entities);
+	let entityLayers = entityLayer === undefined ?
+		objectLayers : [entityLayer];
+
+	let gameObject = Object.assign({}, sceneConfig.gameObject);
+	gameObject.entities = (gameObject.entities || []).slice();
+	sceneConfig.gameObject = gameObject;
+
+	for (let i = 0; i < entityLayers.length; i++) {
+		let objects = entityLayers[i].objects || [];
+
+		for (let j = 0; j < objects.length; j++) {
+			gameObject.entities.push(readObject(
+				map,
+				tilesets,
+				objects[j],
+				entityLayers[i].visible !== false
+			));
+		}
+	}
+
+	return new Scene(sceneConfig);
+};
+
+export {
+	Tiled
+};
+
+// the bits of a tile id that hold its flips and rotation
+const flipMask = 0xE0000000;
+
+// the color of objects that aren't tiles and have no color property
+const defaultObjectColor = new Color(255, 255, 255, 255);
+
+/*
+reads the tilesets of a map, each tileset gets its texture, and an object of
+its tiles (created as they are used)
+*/
+function readTilesets(map, config) {
+	let tilesets = map.tilesets || [];
+	let external = config.tilesets || {};
+	let basePath = config.basePath || "";
+
+	// tilesets are shared by every layer
+	let textures = {};
+	function getTexture(image) {
+		let path = basePath + image;
+
+		if (textures[path] === undefined) {
+			textures[path] = config.assets === undefined ?
+				new Texture({
+					path: path
+				}) : config.assets.getTexture(path);
+		}
+
+		return textures[path];
+	}
+
+	return tilesets.map(function(reference) {
+		let tileset = reference;
+
+		// external tilesets must be provided by the config
+		if (reference.source !== undefined) {
+			tileset = external[reference.source];
+
+			if (typeof tileset !== "object") {
+				throw new Error(
+					"Tiled.createScene config.tilesets is missing the " +
+					"external tileset \"" + reference.source + "\""
+				);
+			}
+		}
+
+		// the tiles with extra information (properties, animations, images)
+		let tileData = {};
+		let tiles = tileset.tiles || [];
+		for (let i = 0; i < tiles.length; i++) {
+			tileData[tiles[i].id] = tiles[i];
+		}
+
+		return {
+			firstId: reference.firstgid,
+			tileWidth: tileset.tilewidth,
+			tileHeight: tileset.tileheight,
+			columns: tileset.columns,
+			margin: tileset.margin || 0,
+			spacing: tileset.spacing || 0,
+			texture: tileset.image === undefined ?
+				undefined : getTexture(tileset.image),
+			tileData: tileData,
+			getTexture: getTexture,
+			tiles: {}
+		};
+	});
+}
+
+/*
+gets the appearance and custom properties of a tile from its id (without the
+flip bits)
+*/
+function getTile(tilesets, id) {
+	// the tileset with the largest first id that isn't past the id
+	let tileset;
+	for (let i = 0; i < tilesets.length; i++) {
+		if (tilesets[i].firstId <= id &&
+			(tileset === undefined || tilesets[i].firstId > tileset.firstId)) {
+			tileset = tilesets[i];
+		}
+	}
+
+	if (tileset === undefined) {
+		throw new Error(
+			"Tiled.createScene found tile " + id + " which is in no tileset"
+		);
+	}
+
+	let index = id - tileset.firstId;
+
+	if (tileset.tiles[index] === undefined) {
+		let data = tileset.tileData[index] || {};
+
+		let appearance = getTileTexture(tileset, index);
+
+		// animated tiles, durations are in milliseconds
+		if (Array.isArray(data.animation) && data.animation.length !== 0) {
+			appearance = new AnimatedTexture({
+				frames: data.animation.map(
+					frame => getTileTexture(tileset, frame.tileid)
+				),
+				duration: data.animation.map(frame => frame.duration / 1000)
+			});
+		}
+
+		tileset.tiles[index] = {
+			appearance: appearance,
+			properties: readProperties(data.properties)
+		};
+	}
+
+	return tileset.tiles[index];
+}
+
+/*
+gets the texture of a tile, a region of the tileset image, or the tile's own
+image in collections of images
+*/
+function getTileTexture(tileset, index) {
+	let data = tileset.tileData[index] || {};
+
+	if (data.image !== undefined) return tileset.getTexture(data.image);
+
+	if (tileset.texture === undefined) {
+		throw new Error(
+			"Tiled.createScene found a tile without an image"
+		);
+	}
+
+	let column = index % tileset.columns;
+	let row = Math.floor(index / tileset.columns);
+
+	return new TextureRegion({
+		texture: tileset.texture,
+		x: tileset.margin + column * (tileset.tileWidth + tileset.spacing),
+		y: tileset.margin + row * (tileset.tileHeight + tileset.spacing),
+		width: tileset.tileWidth,
+		height: tileset.tileHeight
+	});
+}
+
+/*
+reads the custom properties of a tile, object or layer into an object,
+Tiled writes them as an array of { name, type, value } objects (older
+versions write an object)
+*/
+function readProperties(properties) {
+	if (properties === undefined) return {};
+
+	if (!Array.isArray(properties)) return Object.assign({}, properties);
+
+	let result = {};
+	for (let i = 0; i < properties.length; i++) {
+		result[properties[i].name] = properties[i].value;
+	}
+
+	return result;
+}
+
+// finds a layer by name
+function findLayer(layers, name) {
+	for (let i = 0; i < layers.length; i++) {
+		if (layers[i].name === name) return layers[i];
+	}
+
+	return undefined;
+}
+
+// reads the tile ids of a tile layer, without their flip bits
+function readLayerData(map, layer) {
+	if (!Array.isArray(layer.data)) {
+		throw new Error(
+			"Tiled.createScene layer \"" + layer.name + "\" must use the " +
+			"CSV tile layer format (compressed layers can't be imported)"
+		);
+	}
+
+	if (layer.data.length !== map.width * map.height) {
+		throw new Error(
+			"Tiled.createScene layer \"" + layer.name + "\" must be the " +
+			"size of the map"
+		);
+	}
+
+	// the ids are 32 bit unsigned integers
+	return layer.data.map(id => (id & ~flipMask) >>> 0);
+}
+
+// calls a function once for each different id of a layer (except 0)
+function forEachId(data, callback) {
+	let seen = new Set();
+
+	for (let i = 0; i < data.length; i++) {
+		if (data[i] === 0 || seen.has(data[i])) continue;
+
+		seen.add(data[i]);
+		callback(data[i]);
+	}
+}
+
+/*
+creates an entity from an object, positions and sizes are in pixels of the
+map's tiles
+*/
+function readObject(map, tilesets, object, layerVisible) {
+	let properties = readProperties(object.properties);
+
+	let width = (object.width || 0) / map.tilewidth;
+	let height = (object.height || 0) / map.tileheight;
+	let x = object.x / map.tilewidth;
+	let y = object.y / map.tileheight;
+
+	let appearance;
+	if (object.gid !== undefined) {
+		appearance = getTile(tilesets, (object.gid & ~flipMask) >>> 0)
+			.appearance;
+
+		// tile objects are placed by their bottom left corner
+		y -= height;
+	} else if (typeof properties.color === "string") {
+		appearance = readColor(properties.color);
+	} else {
+		appearance = defaultObjectColor;
+	}
+
+	// points and objects without a size default to a unit sized entity
+	let size = {
+		x: width || 1,
+		y: height || 1
+	};
+
+	// the rotation of the object (in degrees) is the direction it faces
+	let angle = (object.rotation || 0) * Math.PI / 180;
+
+	return new Entity({
+		appearance: appearance,
+		position: {
+			x: x + width / 2,
+			y: y + height / 2,
+			z: properties.z || 0
+		},
+		direction: {
+			x: Math.cos(angle),
+			y: Math.sin(angle)
+		},
+		size: size,
+		isVisible: layerVisible && object.visible !== false
+	});
+}
+
+// reads a Tiled color string ("#RRGGBB" or "#AARRGGBB")
+function readColor(string) {
+	let hex = string.replace("#", "");
+	let alpha = 255;
+
+	if (hex.length === 8) {
+		alpha = parseInt(hex.slice(0, 2), 16);
+		hex = hex.slice(2);
+	}
+
+	if (!/^[0-9a-fA-F]{6}$/.test(hex)) {
+		throw new Error(
+			"Tiled.createScene colors must be \"#RRGGBB\" or \"#AARRGGBB\""
+		);
+	}
+
+	return new Color(
+		parseInt(hex.slice(0, 2), 16),
+		parseInt(hex.slice(2, 4), 16),
+		parseInt(hex.slice(4, 6), 16),
+		alpha
+	);
+}
@@ -0,0 +1,243 @@
+/*
+A ready made first person controller: it reads the actions and axes of an
+Input every frame and uses them to walk, strafe and turn a Camera, and to
+pitch it up and down with the mouse (or the right stick). If a scene is
+provided the camera collides with the scene's walls (see Collision).
+*/
+
+import { Camera } from "/src/core/camera.js";
+import { Collision } from "/src/core/collision.js";
+import { Engine } from "/src/core/engine.js";
+import { Scene } from "/src/core/scene.js";
+import { Input } from "/src/input/input.js";
+
+class FirstPersonController {
+
+	// the actions of the default input
+	static actions = {
+		run: ["ShiftLeft", "ShiftRight", "Gamepad10"]
+	};
+
+	/*
+	the axes of the default input, analog axes are moveForward, strafe, turn
+	and lookUp, mouse axes are lookX and lookY
+	*/
+	static axes = {
+		moveForward: [
+			"KeyW", "-KeyS", "ArrowUp", "-ArrowDown",
+			"-GamepadAxis1", "-Joystick0Y"
+		],
+		strafe: ["KeyD", "-KeyA", "GamepadAxis0", "Joystick0X"],
+		turn: ["ArrowRight", "-ArrowLeft", "GamepadAxis2", "Joystick1X"],
+		lookUp: ["-GamepadAxis3", "-Joystick1Y"],
+		lookX: ["MouseX"],
+		lookY: ["MouseY"]
+	};
+
+	/*
+	Constructor takes a config object argument, recognized attributes are:
+	camera (required), input, element, joysticks, scene, moveSpeed,
+	runMultiplier, turnSpeed, mouseSensitivity, pitchSpeed, pitchSensitivity,
+	maxPitch, invertY, radius, eyeHeight and stepHeight.
+	input is the Input that is read, if it isn't provided one is created with
+	the default actions and axes (see FirstPersonController.actions / axes)
+	from config.element and config.joysticks (see Input), a provided input
+	must have the same action and axis names.
+	scene makes the camera collide with the scene's walls, radius, eyeHeight
+	and stepHeight describe the body of the camera (see Collision.moveCamera),
+	the camera is kept eyeHeight above the ground it walks on.
+	moveSpeed is in units per second (default to 3), runMultiplier scales it
+	while the "run" action is held (default to 2), turnSpeed is in radians per
+	second (default to 2.5), mouseSensitivity is in radians per pixel the mouse
+	moves (default to 0.0025), pitchSpeed is in pixels per second (default to
+	400), pitchSensitivity is the pitch in pixels per pixel the mouse moves
+	(default to 1), maxPitch is the largest pitch in pixels either way
+	(default to 200), and invertY inverts looking up and down.
+	*/
+	constructor(config) {
+		// check if we recieved a config object
+		if (typeof config !== "object") {
+			throw new Error(
+				"FirstPersonController constructor must recieve a config " +
+				"object"
+			);
+		}
+
+		// check if the camera is valid
+		if (!(config.camera instanceof Camera)) {
+			throw new Error(
+				"FirstPersonController camera must be of type Camera"
+			);
+		}
+
+		// check if the input is valid
+		if (config.input !== undefined && !(config.input instanceof Input)) {
+			throw new Error(
+				"FirstPersonController input must be of type Input"
+			);
+		}
+
+		// check if the scene is valid
+		if (config.scene !== undefined && !(config.scene instanceof Scene)) {
+			throw new Error(
+				"FirstPersonController scene must be of type Scene"
+			);
+		}
+
+		// the rest of the controller attributes are all positive numbers
+		let numberAttributes = [
+			"moveSpeed",
+			"runMultiplier",
+			"turnSpeed",
+			"mouseSensitivity",
+			"pitchSpeed",
+			"pitchSensitivity",
+			"maxPitch",
+			"radius",
+			"eyeHeight",
+			"stepHeight"
+		];
+		for (let i = 0; i < numberAttributes.length; i++) {
+			let value = config[numberAttributes[i]];
+			if (value !== undefined &&
+				(typeof value !== "number" || value < 0)) {
+				throw new Error(
+					"FirstPersonController " + numberAttributes[i] +
+					" must be a positive number"
+				);
+			}
+		}
+
+		this.camera = config.camera;
+
+		this.input = config.input || new Input({
+			element: config.element,
+			joysticks: config.joysticks,
+			actions: FirstPersonController.actions,
+			axes: FirstPersonController.axes
+		});
+
+		this.scene = config.scene;
+
+		this.moveSpeed = config.moveSpeed === undefined ? 3 : config.moveSpeed;
+		this.runMultiplier = config.runMultiplier === undefined ?
+			2 : config.runMultiplier;
+		this.turnSpeed = config.turnSpeed === undefined ?
+			2.5 : config.turnSpeed;
+		this.mouseSensitivity = config.mouseSensitivity === undefined ?
+			0.0025 : config.mouseSensitivity;
+		this.pitchSpeed = config.pitchSpeed === undefined ?
+			400 : config.pitchSpeed;
+		this.pitchSensitivity = config.pitchSensitivity === undefined ?
+			1 : config.pitchSensitivity;
+		this.maxPitch = config.maxPitch === undefined ? 200 : config.maxPitch;
+		this.invertY = !!config.invertY;
+
+		// the body of the camera used for collision
+		this.collision = {
+			radius: config.radius,
+			eyeHeight: config.eyeHeight === undefined ? 0.5 : config.eyeHeight,
+			stepHeight: config.stepHeight
+		};
+
+		/*
+		the camera pitch must be a whole amount of pixels, so the fractional
+		pitch is kept here
+		*/
+		this.pitch = this.camera.pitch;
+	}
+
+	/*
+	moves and turns the camera from the input of this frame, deltaTime is the
+	time in seconds since the last update. engine is optional, when the camera
+	walks through a portal the engine doesn't interpolate it from where it was
+	(see Engine.resetInterpolation), the engine update callback receives both
+	arguments. The input must be updated (see Input.update) before the
+	controller
+	*/
+	update(deltaTime, engine) {
+		if (typeof deltaTime !== "number" || deltaTime < 0) {
+			throw new Error(
+				"FirstPersonController.update must recieve a deltaTime that " +
+				"is a positive number"
+			);
+		}
+
+		if (engine !== undefined && !(engine instanceof Engine)) {
+			throw new Error(
+				"FirstPersonController.update engine must be of type Engine"
+			);
+		}
+
+		let input = this.input;
+		let camera = this.camera;
+
+		// turn with the analog axis (a rate) and the mouse (a distance)
+		camera.rotate(
+			input.getAxis("turn") * this.turnSpeed * deltaTime +
+			input.getAxis("lookX") * this.mouseSensitivity
+		);
+
+		/*
+		pitch the camera, moving the mouse up (negative y) looks up, which
+		moves the horizon down (a positive pitch)
+		*/
+		let pitchDirection = this.invertY ? -1 : 1;
+		this.pitch += pitchDirection * (
+			input.getAxis("lookUp") * this.pitchSpeed * deltaTime -
+			input.getAxis("lookY") * this.pitchSensitivity
+		);
+		this.pitch = Math.min(
+			Math.max(this.pitch, -this.maxPitch),
+			this.maxPitch
+		);
+		camera.pitch = Math.round(this.pitch);
+
+		// walk along the direction of the camera, strafe along its plane
+		let forward = input.getAxis("moveForward");
+		let strafe = input.getAxis("strafe");
+
+		// moving diagonally isn't faster
+		let length = Math.sqrt(forward * forward + strafe * strafe);
+		if (length > 1) {
+			forward /= length;
+			strafe /= length;
+		}
+
+		let speed = this.moveSpeed * deltaTime;
+		if (input.isDown("run")) speed *= this.runMultiplier;
+
+		let direction = camera.orientation.direction;
+		let directionLength = direction.getMag();
+		let dirX = direction.x / directionLength;
+		let dirY = direction.y / directionLength;
+
+		// the camera plane points to the right of the screen
+		let deltaX = (dirX * forward - dirY * strafe) * speed;
+		let deltaY = (dirY * forward + dirX * strafe) * speed;
+
+		if (this.scene === undefined) {
+			camera.move(deltaX, deltaY);
+			return;
+		}
+
+		let result = Collision.moveCamera(
+			this.scene,
+			camera,
+			deltaX,
+			deltaY,
+			this.collision
+		);
+
+		// stand on whatever the camera walked onto
+		camera.orientation.position.z = result.ground +
+			this.collision.eyeHeight;
+
+		// a teleported camera jumps straight to where it came out
+		if (result.teleported && engine !== undefined) {
+			engine.resetInterpolation(camera);
+		}
+	}
+}
+
+export { FirstPersonController };
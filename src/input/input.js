@@ -0,0 +1,368 @@
+/*
+The input class maps physical inputs (keyboard keys, mouse buttons and
+pointer locked mouse movement, gamepad buttons and sticks, and on screen touch
+joysticks) to named actions and axes, so games ask for "jump" or "moveX"
+instead of listening to raw events.
+
+Inputs are named with binding strings:
+keyboard keys use KeyboardEvent.code ("KeyW", "Space", "ArrowLeft", ...),
+mouse buttons are "Mouse0" (left), "Mouse1" (middle) and "Mouse2" (right),
+mouse movement is "MouseX" and "MouseY" (only while the pointer is locked),
+gamepad buttons are "Gamepad0", "Gamepad1", ... and gamepad sticks are
+"GamepadAxis0", "GamepadAxis1", ... (standard gamepad mapping),
+touch joysticks are "Joystick0X", "Joystick0Y", "Joystick1X", ... (indices
+into config.joysticks).
+Axis bindings starting with "-" are inverted ("-KeyA").
+*/
+
+import { TouchJoystick } from "/src/input/touchJoystick.js";
+
+class Input {
+	/*
+	Constructor takes a config object argument, recognized attributes are:
+	actions, axes, element, pointerLock, joysticks, deadZone and gamepadIndex.
+	actions is an object of action names to arrays of bindings (an action is
+	down while any of its bindings is down).
+	axes is an object of axis names to arrays of bindings, keys, buttons,
+	sticks and joysticks add a value in the range [-1, 1] (clamped together),
+	mouse movement adds the amount of pixels moved this frame.
+	element is the html element mouse input is read from (and the pointer is
+	locked to), keyboard input is read from the window.
+	pointerLock locks the pointer to the element when it is clicked (default
+	to true).
+	joysticks is an array of TouchJoysticks.
+	deadZone is the stick amount that is ignored around the center of gamepad
+	sticks (default to 0.15).
+	gamepadIndex is the gamepad that is read (default to the first connected
+	gamepad).
+	*/
+	constructor(config) {
+		// check if we recieved a config object
+		if (typeof config !== "object") {
+			throw new Error(
+				"Input constructor must recieve a config object"
+			);
+		}
+
+		// check if the actions and axes are valid binding lists
+		let bindingLists = ["actions", "axes"];
+		for (let i = 0; i < bindingLists.length; i++) {
+			let list = config[bindingLists[i]];
+
+			if (list === undefined) continue;
+
+			if (typeof list !== "object") {
+				throw new Error(
+					"Input " + bindingLists[i] + " must be an object"
+				);
+			}
+
+			for (const name in list) {
+				if (!Array.isArray(list[name]) ||
+					!list[name].every(binding => typeof binding === "string")) {
+					throw new Error(
+						"Input " + bindingLists[i] + "[\"" + name + "\"] " +
+						"must be an array of binding strings"
+					);
+				}
+			}
+		}
+
+		// check if the element is valid
+		if (config.element !== undefined &&
+			!(config.element instanceof HTMLElement)) {
+			throw new Error("Input element must be of type HTMLElement");
+		}
+
+		// check if the joysticks are valid
+		if (config.joysticks !== undefined && (
+				!Array.isArray(config.joysticks) ||
+				!config.joysticks.every(
+					joystick => joystick instanceof TouchJoystick
+				))) {
+			throw new Error(
+				"Input joysticks must be an array of TouchJoysticks"
+			);
+		}
+
+		// check if the dead zone is valid
+		if (config.deadZone !== undefined && (
+				typeof config.deadZone !== "number" ||
+				!(config.deadZone >= 0 && config.deadZone < 1))) {
+			throw new Error(
+				"Input deadZone must be a number in the range [0, 1)"
+			);
+		}
+
+		// check if the gamepad index is valid
+		if (config.gamepadIndex !== undefined &&
+			(!Number.isInteger(config.gamepadIndex) ||
+				config.gamepadIndex < 0)) {
+			throw new Error("Input gamepadIndex must be a positive integer");
+		}
+
+		// the bindings of every action and axis
+		this.actions = config.actions || {};
+		this.axes = config.axes || {};
+
+		// the element mouse input is read from, default to the document body
+		this.element = config.element || document.body;
+
+		this.pointerLock = config.pointerLock === undefined ?
+			true : !!config.pointerLock;
+
+		this.joysticks = config.joysticks || [];
+
+		this.deadZone = config.deadZone === undefined ? 0.15 : config.deadZone;
+
+		this.gamepadIndex = config.gamepadIndex;
+
+		// keys and mouse buttons that are currently held, indexed by binding
+		this.held = {};
+
+		// how far the mouse moved since the last update
+		this.mouseMovement = {
+			x: 0,
+			y: 0
+		};
+
+		/*
+		the state of every binding as of the last update (and the update
+		before it, to find out what was just pressed or released)
+		*/
+		this.state = {};
+		this.previousState = {};
+
+		// the mouse movement of the current frame
+		this.mouseDelta = {
+			x: 0,
+			y: 0
+		};
+
+		// event listeners are kept so they can be removed by destroy
+		this.listeners = {
+			keydown: function(event) {
+				this.held[event.code] = true;
+			}.bind(this),
+			keyup: function(event) {
+				this.held[event.code] = false;
+			}.bind(this),
+			mousedown: function(event) {
+				this.held["Mouse" + event.button] = true;
+
+				// lock the pointer when the element is clicked
+				if (this.pointerLock && !this.isPointerLocked) {
+					this.element.requestPointerLock();
+				}
+			}.bind(this),
+			mouseup: function(event) {
+				this.held["Mouse" + event.button] = false;
+			}.bind(this),
+			mousemove: function(event) {
+				// the mouse only steers while the pointer is locked
+				if (!this.isPointerLocked) return;
+
+				this.mouseMovement.x += event.movementX;
+				this.mouseMovement.y += event.movementY;
+			}.bind(this),
+			blur: function() {
+				// keys released while the window isn't focused are never seen
+				this.held = {};
+			}.bind(this)
+		};
+
+		window.addEventListener("keydown", this.listeners.keydown);
+		window.addEventListener("keyup", this.listeners.keyup);
+		window.addEventListener("blur", this.listeners.blur);
+		this.element.addEventListener("mousedown", this.listeners.mousedown);
+		window.addEventListener("mouseup", this.listeners.mouseup);
+		window.addEventListener("mousemove", this.listeners.mousemove);
+	}
+
+	// true while the pointer is locked to the element
+	get isPointerLocked() {
+		return document.pointerLockElement === this.element;
+	}
+
+	/*
+	reads the state of every input for a new frame, must be called once per
+	frame before any actions or axes are read
+	*/
+	update() {
+		this.previousState = this.state;
+		this.state = {};
+
+		// keys and mouse buttons
+		for (const binding in this.held) {
+			this.state[binding] = this.held[binding] ? 1 : 0;
+		}
+
+		// the mouse movement since the last update belongs to this frame
+		this.mouseDelta.x = this.mouseMovement.x;
+		this.mouseDelta.y = this.mouseMovement.y;
+		this.mouseMovement.x = 0;
+		this.mouseMovement.y = 0;
+		this.state.MouseX = this.mouseDelta.x;
+		this.state.MouseY = this.mouseDelta.y;
+
+		// gamepad buttons and sticks
+		let gamepad = this.getGamepad();
+		if (gamepad !== undefined) {
+			for (let i = 0; i < gamepad.buttons.length; i++) {
+				this.state["Gamepad" + i] = gamepad.buttons[i].value;
+			}
+
+			for (let i = 0; i < gamepad.axes.length; i++) {
+				this.state["GamepadAxis" + i] =
+					applyDeadZone(gamepad.axes[i], this.deadZone);
+			}
+		}
+
+		// touch joysticks
+		for (let i = 0; i < this.joysticks.length; i++) {
+			this.state["Joystick" + i + "X"] = this.joysticks[i].x;
+			this.state["Joystick" + i + "Y"] = this.joysticks[i].y;
+		}
+	}
+
+	// gets the gamepad that is read, undefined if none is connected
+	getGamepad() {
+		if (typeof navigator === "undefined" || !navigator.getGamepads) {
+			return undefined;
+		}
+
+		let gamepads = navigator.getGamepads();
+
+		if (this.gamepadIndex !== undefined) {
+			return gamepads[this.gamepadIndex] || undefined;
+		}
+
+		for (let i = 0; i < gamepads.length; i++) {
+			if (gamepads[i]) return gamepads[i];
+		}
+
+		return undefined;
+	}
+
+	// true while any binding of an action is held down
+	isDown(action) {
+		return getActionBindings(this, action).some(
+			binding => isBindingDown(this.state, binding)
+		);
+	}
+
+	// true on the frame an action was pressed
+	wasPressed(action) {
+		let bindings = getActionBindings(this, action);
+
+		let isDown = bindings.some(
+			binding => isBindingDown(this.state, binding)
+		);
+		let wasDown = bindings.some(
+			binding => isBindingDown(this.previousState, binding)
+		);
+
+		return isDown && !wasDown;
+	}
+
+	// true on the frame an action was released
+	wasReleased(action) {
+		let bindings = getActionBindings(this, action);
+
+		let isDown = bindings.some(
+			binding => isBindingDown(this.state, binding)
+		);
+		let wasDown = bindings.some(
+			binding => isBindingDown(this.previousState, binding)
+		);
+
+		return !isDown && wasDown;
+	}
+
+	/*
+	gets the value of an axis, the sum of every analog binding (clamped to the
+	range [-1, 1]) plus the mouse movement of this frame (in pixels)
+	*/
+	getAxis(axis) {
+		let bindings = this.axes[axis];
+
+		if (bindings === undefined) {
+			throw new Error(
+				"Input.getAxis: there is no axis named \"" + axis + "\""
+			);
+		}
+
+		let analog = 0;
+		let movement = 0;
+		for (let i = 0; i < bindings.length; i++) {
+			let binding = bindings[i];
+			let sign = 1;
+
+			// inverted bindings
+			if (binding[0] === "-") {
+				sign = -1;
+				binding = binding.slice(1);
+			}
+
+			let value = (this.state[binding] || 0) * sign;
+
+			if (binding === "MouseX" || binding === "MouseY") {
+				movement += value;
+			} else {
+				analog += value;
+			}
+		}
+
+		return Math.min(Math.max(analog, -1), 1) + movement;
+	}
+
+	// removes every event listener added by the input
+	destroy() {
+		window.removeEventListener("keydown", this.listeners.keydown);
+		window.removeEventListener("keyup", this.listeners.keyup);
+		window.removeEventListener("blur", this.listeners.blur);
+		this.element.removeEventListener(
+			"mousedown",
+			this.listeners.mousedown
+		);
+		window.removeEventListener("mouseup", this.listeners.mouseup);
+		window.removeEventListener("mousemove", this.listeners.mousemove);
+
+		for (let i = 0; i < this.joysticks.length; i++) {
+			this.joysticks[i].destroy();
+		}
+	}
+}
+
+export { Input };
+
+// the value a button has to pass to count as held
+const buttonThreshold = 0.5;
+
+// gets the bindings of an action, throws if there is no such action
+function getActionBindings(input, action) {
+	let bindings = input.actions[action];
+
+	if (bindings === undefined) {
+		throw new Error(
+			"Input: there is no action named \"" + action + "\""
+		);
+	}
+
+	return bindings;
+}
+
+// checks if a binding is held in some state
+function isBindingDown(state, binding) {
+	return Math.abs(state[binding] || 0) >= buttonThreshold;
+}
+
+/*
+ignores small stick values around the center, and rescales the rest so the
+stick still reaches 1
+*/
+function applyDeadZone(value, deadZone) {
+	if (Math.abs(value) < deadZone) return 0;
+
+	return Math.sign(value) * (Math.abs(value) - deadZone) / (1 - deadZone);
+}
@@ -0,0 +1,228 @@
+/*
+An on screen joystick for touch screens. A touch that starts inside of the
+joystick's region of an element places the joystick under the finger, then
+dragging the finger moves the stick. The stick position is read by Input
+through the bindings "Joystick<index>X" and "Joystick<index>Y".
+*/
+
+class TouchJoystick {
+	/*
+	Constructor takes a config object argument, recognized attributes are:
+	element, region, radius and visible.
+	element is the html element touches are read from (required).
+	region is the part of the element that starts the joystick, an object with
+	x, y, width and height attributes relative to the size of the element in
+	the range [0, 1] (default to the left half of the element).
+	radius is how far the stick can be dragged in pixels (default to 50).
+	visible draws the joystick over the element while it is touched (default
+	to true).
+	*/
+	constructor(config) {
+		// check if we recieved a config object
+		if (typeof config !== "object") {
+			throw new Error(
+				"TouchJoystick constructor must recieve a config object"
+			);
+		}
+
+		// check if the element is valid
+		if (!(config.element instanceof HTMLElement)) {
+			throw new Error(
+				"TouchJoystick element must be of type HTMLElement"
+			);
+		}
+
+		// check if the region is valid
+		if (config.region !== undefined && (
+				typeof config.region !== "object" ||
+				!["x", "y", "width", "height"].every(
+					attribute => typeof config.region[attribute] === "number"
+				))) {
+			throw new Error(
+				"TouchJoystick region must be an object with x, y, width and " +
+				"height attributes that are numbers"
+			);
+		}
+
+		// check if the radius is valid
+		if (config.radius !== undefined &&
+			(typeof config.radius !== "number" || !(config.radius > 0))) {
+			throw new Error(
+				"TouchJoystick radius must be a number greater than 0"
+			);
+		}
+
+		this.element = config.element;
+
+		this.region = config.region || {
+			x: 0,
+			y: 0,
+			width: 0.5,
+			height: 1
+		};
+
+		this.radius = config.radius || 50;
+
+		this.visible = config.visible === undefined ? true : !!config.visible;
+
+		// the position of the stick, each component in the range [-1, 1]
+		this.x = 0;
+		this.y = 0;
+
+		// the touch moving the joystick, and where it started (client pixels)
+		this.touchId = undefined;
+		this.originX = 0;
+		this.originY = 0;
+
+		// the html elements the joystick is drawn with
+		this.baseElement = createCircle(this.radius * 2, 0.15);
+		this.knobElement = createCircle(this.radius, 0.3);
+
+		if (this.visible) {
+			document.body.appendChild(this.baseElement);
+			document.body.appendChild(this.knobElement);
+		}
+
+		// event listeners are kept so they can be removed by destroy
+		this.listeners = {
+			touchstart: this.onTouchStart.bind(this),
+			touchmove: this.onTouchMove.bind(this),
+			touchend: this.onTouchEnd.bind(this)
+		};
+
+		this.element.addEventListener("touchstart", this.listeners.touchstart, {
+			passive: false
+		});
+		this.element.addEventListener("touchmove", this.listeners.touchmove, {
+			passive: false
+		});
+		this.element.addEventListener("touchend", this.listeners.touchend);
+		this.element.addEventListener("touchcancel", this.listeners.touchend);
+	}
+
+	// starts the joystick if a new touch lands inside of its region
+	onTouchStart(event) {
+		// the joystick is already being used
+		if (this.touchId !== undefined) return;
+
+		let bounds = this.element.getBoundingClientRect();
+
+		for (let i = 0; i < event.changedTouches.length; i++) {
+			let touch = event.changedTouches[i];
+
+			// the touch position relative to the element in the range [0, 1]
+			let x = (touch.clientX - bounds.left) / bounds.width;
+			let y = (touch.clientY - bounds.top) / bounds.height;
+
+			if (x < this.region.x || x > this.region.x + this.region.width ||
+				y < this.region.y || y > this.region.y + this.region.height) {
+				continue;
+			}
+
+			// stop the page from scrolling
+			event.preventDefault();
+
+			this.touchId = touch.identifier;
+			this.originX = touch.clientX;
+			this.originY = touch.clientY;
+			this.x = 0;
+			this.y = 0;
+			this.draw();
+
+			return;
+		}
+	}
+
+	// moves the stick with the touch that started the joystick
+	onTouchMove(event) {
+		let touch = findTouch(event.changedTouches, this.touchId);
+		if (touch === undefined) return;
+
+		event.preventDefault();
+
+		let dx = touch.clientX - this.originX;
+		let dy = touch.clientY - this.originY;
+
+		// keep the stick inside of the radius
+		let distance = Math.sqrt(dx * dx + dy * dy);
+		if (distance > this.radius) {
+			dx *= this.radius / distance;
+			dy *= this.radius / distance;
+		}
+
+		this.x = dx / this.radius;
+		this.y = dy / this.radius;
+		this.draw();
+	}
+
+	// lets go of the stick when its touch ends
+	onTouchEnd(event) {
+		if (findTouch(event.changedTouches, this.touchId) === undefined) return;
+
+		this.touchId = undefined;
+		this.x = 0;
+		this.y = 0;
+		this.draw();
+	}
+
+	// places the joystick elements, hiding them when the joystick isn't used
+	draw() {
+		let display = this.touchId === undefined ? "none" : "block";
+		this.baseElement.style.display = display;
+		this.knobElement.style.display = display;
+
+		this.baseElement.style.left = this.originX - this.radius + "px";
+		this.baseElement.style.top = this.originY - this.radius + "px";
+
+		let knobX = this.originX + this.x * this.radius;
+		let knobY = this.originY + this.y * this.radius;
+		this.knobElement.style.left = knobX - this.radius / 2 + "px";
+		this.knobElement.style.top = knobY - this.radius / 2 + "px";
+	}
+
+	// removes the event listeners and elements of the joystick
+	destroy() {
+		this.element.removeEventListener(
+			"touchstart",
+			this.listeners.touchstart
+		);
+		this.element.removeEventListener("touchmove", this.listeners.touchmove);
+		this.element.removeEventListener("touchend", this.listeners.touchend);
+		this.element.removeEventListener(
+			"touchcancel",
+			this.listeners.touchend
+		);
+
+		this.baseElement.remove();
+		this.knobElement.remove();
+	}
+}
+
+export { TouchJoystick };
+
+// finds the touch with some identifier in a touch list
+function findTouch(touches, id) {
+	if (id === undefined) return undefined;
+
+	for (let i = 0; i < touches.length; i++) {
+		if (touches[i].identifier === id) return touches[i];
+	}
+
+	return undefined;
+}
+
+// creates a hidden, translucent white circle that ignores the pointer
+function createCircle(diameter, opacity) {
+	let circle = document.createElement("div");
+
+	circle.style.position = "fixed";
+	circle.style.display = "none";
+	circle.style.width = diameter + "px";
+	circle.style.height = diameter + "px";
+	circle.style.borderRadius = "50%";
+	circle.style.background = "rgba(255, 255, 255, " + opacity + ")";
+	circle.style.pointerEvents = "none";
+	circle.style.zIndex = "1000";
+
+	return circle;
+}
@@ -0,0 +1,213 @@
+/*
+A texture that changes over time. It holds a list of frames (textures or
+regions of a sprite sheet) that are played one after another, and can also
+scroll its texture coordinates. The renderer picks the frame to draw from the
+time passed to Renderer.render.
+*/
+
+import { Texture } from "/src/resources/texture.js";
+import { TextureRegion } from "/src/resources/textureRegion.js";
+
+class AnimatedTexture {
+
+	static modes = ["loop", "pingPong", "once"];
+
+	/*
+	Constructor takes a config object argument, recognized attributes are:
+	frames, or texture, count, columns, x, y, width and height, as well as
+	duration, mode and scroll.
+	frames is an array of Textures or TextureRegions. Instead of frames, a
+	sprite sheet can be passed as config.texture, it will be cut into
+	config.count regions of config.width * config.height, placed left to
+	right, top to bottom (config.columns per row) starting at
+	(config.x, config.y).
+	duration is the time in seconds each frame is shown for, or an array of
+	times (one per frame), mode is "loop", "pingPong" or "once", and scroll is
+	an object with x and y attributes, the texture coordinate velocity in
+	texture widths / heights per second.
+	*/
+	constructor(config) {
+		// check if we recieved a config object
+		if (typeof config !== "object") {
+			throw new Error(
+				"AnimatedTexture constructor must recieve a config object"
+			);
+		}
+
+		// cut the frames out of a sprite sheet if one was provided
+		if (config.texture !== undefined) {
+			// check if the number of frames is valid
+			if (!Number.isInteger(config.count) || config.count <= 0) {
+				throw new Error(
+					"AnimatedTexture count must be an integer greater than 0"
+				);
+			}
+
+			// check if the number of columns is valid
+			if (config.columns !== undefined &&
+				(!Number.isInteger(config.columns) || config.columns <= 0)) {
+				throw new Error(
+					"AnimatedTexture columns must be an integer greater than 0"
+				);
+			}
+
+			// default to a sprite sheet with a single row of frames
+			let columns = config.columns || config.count;
+			let x = config.x || 0;
+			let y = config.y || 0;
+
+			// TextureRegion checks the rest of the attributes
+			this.frames = [];
+			for (let i = 0; i < config.count; i++) {
+				this.frames[i] = new TextureRegion({
+					texture: config.texture,
+					x: x + (i % columns) * config.width,
+					y: y + Math.floor(i / columns) * config.height,
+					width: config.width,
+					height: config.height
+				});
+			}
+		} else {
+			// check if the frames array is valid
+			if (!Array.isArray(config.frames) || config.frames.length === 0) {
+				throw new Error(
+					"AnimatedTexture must recieve a non empty frames array " +
+					"or a sprite sheet texture"
+				);
+			}
+
+			// check if each frame is valid
+			for (let i = 0; i < config.frames.length; i++) {
+				if (!(config.frames[i] instanceof Texture) &&
+					!(config.frames[i] instanceof TextureRegion)) {
+					throw new Error(
+						"AnimatedTexture frames must be of type Texture or " +
+						"TextureRegion"
+					);
+				}
+			}
+
+			this.frames = config.frames.slice();
+		}
+
+		// default to 10 frames per second
+		let duration = config.duration === undefined ? 0.1 : config.duration;
+
+		// check if the duration is valid
+		if (Array.isArray(duration)) {
+			if (duration.length !== this.frames.length) {
+				throw new Error(
+					"AnimatedTexture duration array must have one duration " +
+					"per frame"
+				);
+			}
+		} else {
+			duration = this.frames.map(() => duration);
+		}
+
+		for (let i = 0; i < duration.length; i++) {
+			if (typeof duration[i] !== "number" || !(duration[i] > 0)) {
+				throw new Error(
+					"AnimatedTexture duration must be a number greater than 0"
+				);
+			}
+		}
+
+		// the time in seconds each frame is shown for
+		this.durations = duration;
+
+		// check if the mode is valid
+		if (config.mode !== undefined &&
+			!AnimatedTexture.modes.includes(config.mode)) {
+			throw new Error(
+				"AnimatedTexture mode must be \"loop\", \"pingPong\" or " +
+				"\"once\""
+			);
+		}
+
+		// how the animation repeats (default to looping)
+		this.mode = config.mode || "loop";
+
+		// check if the scroll velocity is valid
+		if (config.scroll !== undefined && (
+				typeof config.scroll !== "object" ||
+				typeof config.scroll.x !== "number" ||
+				typeof config.scroll.y !== "number")) {
+			throw new Error(
+				"AnimatedTexture scroll must be an object with x and y " +
+				"attributes that are numbers"
+			);
+		}
+
+		// the texture coordinate velocity (default to no scrolling)
+		this.scroll = config.scroll || {
+			x: 0,
+			y: 0
+		};
+
+		/*
+		the order frames are played in, ping pong plays the frames forwards
+		then backwards (without repeating the first and last frame)
+		*/
+		this.sequence = this.frames.map((frame, i) => i);
+		if (this.mode === "pingPong") {
+			for (let i = this.frames.length - 2; i > 0; i--) {
+				this.sequence.push(i);
+			}
+		}
+
+		// the time it takes to play the whole sequence once
+		this.totalDuration = 0;
+		for (let i = 0; i < this.sequence.length; i++) {
+			this.totalDuration += this.durations[this.sequence[i]];
+		}
+	}
+
+	// gets the frame that is shown at some time (in seconds)
+	getFrame(time) {
+		// animations that play once stay on their last frame
+		if (this.mode === "once" && time >= this.totalDuration) {
+			return this.frames[this.frames.length - 1];
+		}
+
+		// get the time relative to the start of the sequence
+		let sequenceTime = time % this.totalDuration;
+		if (sequenceTime < 0) sequenceTime += this.totalDuration;
+
+		// find the frame of the sequence that the time lands on
+		for (let i = 0; i < this.sequence.length; i++) {
+			let frame = this.sequence[i];
+			sequenceTime -= this.durations[frame];
+			if (sequenceTime < 0) return this.frames[frame];
+		}
+
+		// floating point error can land just past the end of the sequence
+		return this.frames[this.sequence[this.sequence.length - 1]];
+	}
+
+	/*
+	gets how far the texture coordinates have scrolled at some time (in
+	seconds), each component is in the range [0, 1)
+	*/
+	getScrollOffset(time) {
+		let x = this.scroll.x * time;
+		let y = this.scroll.y * time;
+
+		return {
+			x: x - Math.floor(x),
+			y: y - Math.floor(y)
+		};
+	}
+
+	// the animated texture has loaded when all of its frames have loaded
+	get hasLoaded() {
+		return this.frames.every(frame => frame.hasLoaded);
+	}
+
+	// use the temporary color of the first frame
+	get temporaryColor() {
+		return this.frames[0].temporaryColor;
+	}
+}
+
+export { AnimatedTexture };
@@ -0,0 +1,189 @@
+/*
+Loads textures from a manifest and reports when they are ready. Textures with
+the same path are only loaded once, and textures that fail to load are given a
+checkerboard so the missing image is easy to spot (instead of throwing).
+*/
+
+import { Color } from "/src/resources/color.js";
+import { Texture } from "/src/resources/texture.js";
+import { ProceduralTexture } from "/src/resources/proceduralTexture.js";
+
+class AssetManager {
+
+	// the events listeners can be added for
+	static events = ["progress", "error"];
+
+	constructor() {
+		// every texture loaded by this manager, indexed by path
+		this.textures = {};
+
+		// the listeners of each event
+		this.listeners = {};
+		for (let i = 0; i < AssetManager.events.length; i++) {
+			this.listeners[AssetManager.events[i]] = [];
+		}
+	}
+
+	/*
+	adds a function that is called every time an event happens, events are:
+	"progress" each time a texture of a manifest finishes (loading or
+	failing), and "error" each time a texture fails to load. Listeners receive
+	an event object with the attributes type, path, texture, loaded (the
+	amount of textures of the manifest that finished), failed and total
+	*/
+	addEventListener(type, listener) {
+		if (!AssetManager.events.includes(type)) {
+			throw new Error(
+				"AssetManager event type must be \"progress\" or \"error\""
+			);
+		}
+
+		if (typeof listener !== "function") {
+			throw new Error("AssetManager listener must be a function");
+		}
+
+		this.listeners[type].push(listener);
+	}
+
+	// removes a function added with addEventListener
+	removeEventListener(type, listener) {
+		if (!AssetManager.events.includes(type)) return;
+
+		let index = this.listeners[type].indexOf(listener);
+		if (index !== -1) this.listeners[type].splice(index, 1);
+	}
+
+	// gets a texture that was loaded by this manager from its path
+	get(path) {
+		return this.textures[path];
+	}
+
+	/*
+	loads every texture of a manifest, the manifest is an object (or an array)
+	of paths or Texture config objects (see Texture). Returns a promise that
+	resolves with an object (or an array) of the same shape holding the
+	textures, once all of them have finished loading. The promise never
+	rejects because of a missing image, failed textures get a checkerboard
+	*/
+	load(manifest) {
+		if (typeof manifest !== "object" || manifest === null) {
+			throw new Error(
+				"AssetManager.load must recieve a manifest object or array"
+			);
+		}
+
+		let keys = Object.keys(manifest);
+		let result = Array.isArray(manifest) ? [] : {};
+
+		// get (or start loading) the texture of every entry
+		let pending = [];
+		for (let i = 0; i < keys.length; i++) {
+			let texture = this.getTexture(manifest[keys[i]]);
+
+			result[keys[i]] = texture;
+
+			// identical paths share a texture, so only wait for it once
+			if (!pending.includes(texture)) pending.push(texture);
+		}
+
+		// how many textures of the manifest have finished
+		let progress = {
+			loaded: 0,
+			failed: 0,
+			total: pending.length
+		};
+
+		return Promise.all(pending.map(function(texture) {
+			return texture.loaded.then(
+				function() {
+					progress.loaded++;
+					this.dispatch("progress", texture, progress);
+				}.bind(this),
+				function() {
+					applyFallback(texture);
+
+					progress.loaded++;
+					progress.failed++;
+					this.dispatch("error", texture, progress);
+					this.dispatch("progress", texture, progress);
+				}.bind(this)
+			);
+		}.bind(this))).then(function() {
+			return result;
+		});
+	}
+
+	/*
+	gets the texture of a manifest entry, creating it if no texture with the
+	same path has been loaded yet
+	*/
+	getTexture(entry) {
+		let config = typeof entry === "string" ? {
+			path: entry
+		} : entry;
+
+		if (typeof config !== "object" || config === null ||
+			typeof config.path !== "string") {
+			throw new Error(
+				"AssetManager manifest entries must be paths or Texture " +
+				"config objects with a path"
+			);
+		}
+
+		if (this.textures[config.path] === undefined) {
+			this.textures[config.path] = new Texture(config);
+		}
+
+		return this.textures[config.path];
+	}
+
+	// calls every listener of an event
+	dispatch(type, texture, progress) {
+		let event = {
+			type: type,
+			path: texture.path,
+			texture: texture,
+			loaded: progress.loaded,
+			failed: progress.failed,
+			total: progress.total
+		};
+
+		// copy the listeners in case one of them removes itself
+		let listeners = this.listeners[type].slice();
+		for (let i = 0; i < listeners.length; i++) {
+			listeners[i](event);
+		}
+	}
+}
+
+export { AssetManager };
+
+// the size of a fallback texture if the failed texture had no size
+const fallbackSize = 16;
+
+// the size of the squares of a fallback texture
+const fallbackSquareSize = 4;
+
+// the colors of the fallback checkerboard
+const fallbackColors = [
+	new Color(255, 0, 255, 255),
+	new Color(0, 0, 0, 255)
+];
+
+/*
+gives a texture that failed to load a magenta and black checkerboard, the
+texture keeps its hasFailed flag
+*/
+function applyFallback(texture) {
+	// a texture that was given a size keeps it
+	texture.width = texture.width || fallbackSize;
+	texture.height = texture.height || fallbackSize;
+
+	texture.pixels = ProceduralTexture.checkerboard({
+		width: texture.width,
+		height: texture.height,
+		squareSize: fallbackSquareSize,
+		palette: fallbackColors
+	}).pixels;
+	texture.hasLoaded = true;
+}
@@ -0,0 +1,101 @@
+/*
+An entity appearance made of several views of the same object, each seen from
+a different angle (such as the 8 rotations of a Doom monster). The renderer
+picks the view to draw from the angle between the entity's direction and the
+camera.
+*/
+
+import { Texture } from "/src/resources/texture.js";
+import { TextureRegion } from "/src/resources/textureRegion.js";
+import { AnimatedTexture } from "/src/resources/animatedTexture.js";
+import { Color } from "/src/resources/color.js";
+
+class DirectionalSprite {
+	/*
+	Constructor takes a config object argument, recognized attributes are:
+	views, or texture, count, x, y, width and height.
+	views is an array of Textures, TextureRegions, AnimatedTextures or
+	Colors. The first view is the front of the entity, the rest go around the
+	entity in the direction of positive rotation angles (see Camera.rotate),
+	evenly spaced.
+	Instead of views, a sprite sheet can be passed as config.texture, it will
+	be cut into config.count regions of config.width * config.height, placed
+	left to right starting at (config.x, config.y).
+	*/
+	constructor(config) {
+		// check if we recieved a config object
+		if (typeof config !== "object") {
+			throw new Error(
+				"DirectionalSprite constructor must recieve a config object"
+			);
+		}
+
+		// cut the views out of a sprite sheet if one was provided
+		if (config.texture !== undefined) {
+			// check if the number of views is valid
+			if (!Number.isInteger(config.count) || config.count <= 0) {
+				throw new Error(
+					"DirectionalSprite count must be an integer greater than 0"
+				);
+			}
+
+			let x = config.x || 0;
+			let y = config.y || 0;
+
+			// TextureRegion checks the rest of the attributes
+			this.views = [];
+			for (let i = 0; i < config.count; i++) {
+				this.views[i] = new TextureRegion({
+					texture: config.texture,
+					x: x + i * config.width,
+					y: y,
+					width: config.width,
+					height: config.height
+				});
+			}
+		} else {
+			// check if the views array is valid
+			if (!Array.isArray(config.views) || config.views.length === 0) {
+				throw new Error(
+					"DirectionalSprite must recieve a non empty views array " +
+					"or a sprite sheet texture"
+				);
+			}
+
+			// check if each view is a valid appearance
+			for (let i = 0; i < config.views.length; i++) {
+				let view = config.views[i];
+				if (!(view instanceof Texture) &&
+					!(view instanceof TextureRegion) &&
+					!(view instanceof AnimatedTexture) &&
+					!(view instanceof Color)) {
+					throw new Error(
+						"DirectionalSprite views must be of type Texture, " +
+						"TextureRegion, AnimatedTexture or Color"
+					);
+				}
+			}
+
+			this.views = config.views.slice();
+		}
+	}
+
+	/*
+	gets the view seen from some angle (in radians) relative to the front of
+	the entity
+	*/
+	getView(angle) {
+		// the angle each view covers
+		let viewAngle = Math.PI * 2 / this.views.length;
+
+		// round to the closest view, wrapping around the back of the entity
+		let index = Math.round(angle / viewAngle) % this.views.length;
+
+		// handle negative angles
+		if (index < 0) index += this.views.length;
+
+		return this.views[index];
+	}
+}
+
+export { DirectionalSprite };
@@ -0,0 +1,449 @@
+/*
+The ProceduralTexture namespace generates textures from parameters (bricks,
+checkerboards, noise, wood grain and gradients) instead of loading images. Every
+generator takes a config object and returns a Texture that has already loaded.
+Attributes shared by every generator are:
+width and height, the size of the texture in pixels (default to 64),
+seed, an integer that picks the random pattern (default to 0, the same seed
+always generates the same texture),
+palette, an array of Colors the texture is painted with (see each generator),
+variation, how much the brightness of each pixel randomly changes in the range
+[0, 1] (default to 0).
+*/
+
+import { Color } from "/src/resources/color.js";
+import { Texture } from "/src/resources/texture.js";
+
+let ProceduralTexture = {};
+
+/*
+generates a brick wall, recognized attributes are (along with the shared
+ones): brickWidth and brickHeight (default to 16 and 8), mortarSize (the width
+of the lines between bricks, default to 1), mortarColor, and offset (how far
+every other row of bricks is shifted, relative to brickWidth, default to 0.5).
+Each brick is painted with a random color of the palette. The texture tiles
+when width is a multiple of brickWidth and height a multiple of
+brickHeight * 2
+*/
+ProceduralTexture.bricks = function(config) {
+	config = checkConfig(config, "bricks", [
+		new Color(150, 50, 40, 255),
+		new Color(130, 40, 35, 255),
+		new Color(165, 65, 50, 255)
+	]);
+
+	let brickWidth = checkSize(config.brickWidth, 16, "brickWidth");
+	let brickHeight = checkSize(config.brickHeight, 8, "brickHeight");
+	let mortarSize = checkNumber(config.mortarSize, 1, "mortarSize");
+	let offset = checkNumber(config.offset, 0.5, "offset");
+	let mortarColor = checkColor(
+		config.mortarColor,
+		new Color(160, 160, 150, 255),
+		"mortarColor"
+	);
+
+	return generate(config, function(x, y) {
+		let row = Math.floor(y / brickHeight);
+
+		// shift every other row of bricks
+		let shiftedX = x + (row % 2) * Math.floor(offset * brickWidth);
+		let column = Math.floor(shiftedX / brickWidth);
+
+		// the position of the pixel inside of its brick
+		let brickX = shiftedX - column * brickWidth;
+		let brickY = y - row * brickHeight;
+
+		if (brickX < mortarSize || brickY < mortarSize) return mortarColor;
+
+		// wrap the columns so the bricks on both edges match when tiling
+		let columns = Math.ceil(config.width / brickWidth);
+		column = ((column % columns) + columns) % columns;
+
+		return config.palette[Math.floor(
+			hash(column, row, config.seed) * config.palette.length
+		)];
+	});
+};
+
+/*
+generates a checkerboard, recognized attributes are (along with the shared
+ones): squareSize (default to 8). The squares cycle through the colors of the
+palette
+*/
+ProceduralTexture.checkerboard = function(config) {
+	config = checkConfig(config, "checkerboard", [
+		new Color(255, 255, 255, 255),
+		new Color(40, 40, 40, 255)
+	]);
+
+	let squareSize = checkSize(config.squareSize, 8, "squareSize");
+
+	return generate(config, function(x, y) {
+		let square = Math.floor(x / squareSize) + Math.floor(y / squareSize);
+
+		return config.palette[square % config.palette.length];
+	});
+};
+
+/*
+generates noise, recognized attributes are (along with the shared ones): type
+("value" or "perlin", default to "perlin"), scale (the size of the largest
+noise features in pixels, default to 16), octaves (how many layers of smaller
+and smaller noise are added, default to 4) and persistence (how much each
+octave counts compared to the previous one, default to 0.5).
+The noise picks a color along the palette, which is a gradient going from the
+first color to the last. The texture tiles when width and height are multiples
+of scale
+*/
+ProceduralTexture.noise = function(config) {
+	config = checkConfig(config, "noise", [
+		new Color(0, 0, 0, 255),
+		new Color(255, 255, 255, 255)
+	]);
+
+	let sample = createNoise(config, "noise");
+
+	return generate(config, function(x, y) {
+		return samplePalette(config.palette, sample(x, y));
+	});
+};
+
+/*
+generates wood grain (rings around the center of a log, bent by noise),
+recognized attributes are (along with the shared ones): rings (the amount of
+rings from the center of the texture to its edge, default to 8), turbulence
+(how much the rings bend, default to 0.15), and the noise attributes type,
+scale, octaves and persistence (see ProceduralTexture.noise, scale defaults to
+32). Each ring goes along the palette gradient, from the first color to the
+last
+*/
+ProceduralTexture.wood = function(config) {
+	config = checkConfig(config, "wood", [
+		new Color(120, 75, 35, 255),
+		new Color(170, 115, 60, 255),
+		new Color(110, 65, 30, 255)
+	]);
+
+	let rings = checkNumber(config.rings, 8, "rings");
+	let turbulence = checkNumber(config.turbulence, 0.15, "turbulence");
+
+	if (config.scale === undefined) config.scale = 32;
+	let sample = createNoise(config, "wood");
+
+	return generate(config, function(x, y) {
+		// the distance from the center, 1 is the middle of an edge
+		let dx = (x + 0.5) / config.width * 2 - 1;
+		let dy = (y + 0.5) / config.height * 2 - 1;
+		let distance = Math.sqrt(dx * dx + dy * dy);
+
+		// bend the rings with noise
+		let ring = (distance + (sample(x, y) - 0.5) * turbulence) * rings;
+
+		return samplePalette(config.palette, ring - Math.floor(ring));
+	});
+};
+
+/*
+generates a gradient, recognized attributes are (along with the shared ones):
+direction ("vertical", "horizontal" or "radial", default to "vertical").
+The palette colors are evenly spaced along the gradient (top to bottom, left
+to right, or center to corners)
+*/
+ProceduralTexture.gradient = function(config) {
+	config = checkConfig(config, "gradient", [
+		new Color(0, 0, 0, 255),
+		new Color(255, 255, 255, 255)
+	]);
+
+	let direction = config.direction || "vertical";
+	if (!["vertical", "horizontal", "radial"].includes(direction)) {
+		throw new Error(
+			"ProceduralTexture gradient direction must be \"vertical\", " +
+			"\"horizontal\" or \"radial\""
+		);
+	}
+
+	return generate(config, function(x, y) {
+		// the position of the pixel along the gradient in the range [0, 1]
+		let t;
+		if (direction === "vertical") {
+			t = config.height === 1 ? 0 : y / (config.height - 1);
+		} else if (direction === "horizontal") {
+			t = config.width === 1 ? 0 : x / (config.width - 1);
+		} else {
+			let dx = (x + 0.5) / config.width * 2 - 1;
+			let dy = (y + 0.5) / config.height * 2 - 1;
+			t = Math.min(Math.sqrt((dx * dx + dy * dy) / 2), 1);
+		}
+
+		return samplePalette(config.palette, t);
+	});
+};
+
+export {
+	ProceduralTexture
+};
+
+/*
+checks the attributes every generator shares, returns a copy of the config
+with the defaults filled in
+*/
+function checkConfig(config, name, palette) {
+	// a config object is optional
+	if (config === undefined) config = {};
+
+	if (typeof config !== "object" || config === null) {
+		throw new Error(
+			"ProceduralTexture." + name + " must recieve a config object"
+		);
+	}
+
+	config = Object.assign({}, config);
+
+	config.width = checkSize(config.width, 64, "width");
+	config.height = checkSize(config.height, 64, "height");
+
+	if (config.seed !== undefined && !Number.isInteger(config.seed)) {
+		throw new Error("ProceduralTexture seed must be an integer");
+	}
+	config.seed = config.seed || 0;
+
+	if (config.palette !== undefined && (
+			!Array.isArray(config.palette) ||
+			config.palette.length === 0 ||
+			!config.palette.every(color => color instanceof Color))) {
+		throw new Error(
+			"ProceduralTexture palette must be a non empty array of Colors"
+		);
+	}
+	config.palette = config.palette || palette;
+
+	config.variation = checkNumber(config.variation, 0, "variation");
+	if (config.variation > 1) {
+		throw new Error(
+			"ProceduralTexture variation must be in the range [0, 1]"
+		);
+	}
+
+	return config;
+}
+
+// checks an optional integer greater than 0
+function checkSize(value, defaultValue, name) {
+	if (value === undefined) return defaultValue;
+
+	if (!Number.isInteger(value) || value <= 0) {
+		throw new Error(
+			"ProceduralTexture " + name + " must be an integer greater than 0"
+		);
+	}
+
+	return value;
+}
+
+// checks an optional positive number
+function checkNumber(value, defaultValue, name) {
+	if (value === undefined) return defaultValue;
+
+	if (typeof value !== "number" || !(value >= 0)) {
+		throw new Error(
+			"ProceduralTexture " + name + " must be a positive number"
+		);
+	}
+
+	return value;
+}
+
+// checks an optional Color
+function checkColor(value, defaultValue, name) {
+	if (value === undefined) return defaultValue;
+
+	if (!(value instanceof Color)) {
+		throw new Error(
+			"ProceduralTexture " + name + " must be of type Color"
+		);
+	}
+
+	return value;
+}
+
+/*
+creates the texture, colorAt(x, y) returns the Color (or an object with red,
+green, blue and alpha attributes) of each pixel
+*/
+function generate(config, colorAt) {
+	let pixels = new Uint8ClampedArray(config.width * config.height * 4);
+
+	for (let y = 0; y < config.height; y++) {
+		for (let x = 0; x < config.width; x++) {
+			let color = colorAt(x, y);
+
+			// randomly brighten or darken the pixel
+			let brightness = 1;
+			if (config.variation !== 0) {
+				brightness += (hash(x, y, config.seed + 1) - 0.5) *
+					config.variation;
+			}
+
+			let index = (x + y * config.width) * 4;
+			pixels[index] = color.red * brightness;
+			pixels[index + 1] = color.green * brightness;
+			pixels[index + 2] = color.blue * brightness;
+			pixels[index + 3] = color.alpha;
+		}
+	}
+
+	return new Texture({
+		source: pixels,
+		width: config.width,
+		height: config.height
+	});
+}
+
+/*
+gets the color at t (in the range [0, 1]) of a gradient going through every
+color of the palette
+*/
+function samplePalette(palette, t) {
+	if (palette.length === 1) return palette[0];
+
+	// find the two colors t lies between
+	let position = Math.min(Math.max(t, 0), 1) * (palette.length - 1);
+	let index = Math.min(Math.floor(position), palette.length - 2);
+	let amount = position - index;
+
+	let start = palette[index];
+	let end = palette[index + 1];
+
+	return {
+		red: start.red + (end.red - start.red) * amount,
+		green: start.green + (end.green - start.green) * amount,
+		blue: start.blue + (end.blue - start.blue) * amount,
+		alpha: Math.round(start.alpha + (end.alpha - start.alpha) * amount)
+	};
+}
+
+/*
+creates a function that samples fractal noise at a pixel, the result is in the
+range [0, 1]. The noise repeats every width * height pixels so it tiles
+*/
+function createNoise(config, name) {
+	let type = config.type || "perlin";
+	if (type !== "value" && type !== "perlin") {
+		throw new Error(
+			"ProceduralTexture " + name + " type must be \"value\" or " +
+			"\"perlin\""
+		);
+	}
+
+	let scale = checkNumber(config.scale, 16, "scale");
+	let octaves = checkSize(config.octaves, 4, "octaves");
+	let persistence = checkNumber(config.persistence, 0.5, "persistence");
+
+	if (scale === 0) {
+		throw new Error("ProceduralTexture scale must be greater than 0");
+	}
+
+	let sampleOctave = type === "value" ? valueNoise : perlinNoise;
+
+	return function(x, y) {
+		let total = 0;
+		let amplitude = 1;
+		let maxTotal = 0;
+		let cellSize = scale;
+
+		for (let i = 0; i < octaves; i++) {
+			// the amount of lattice cells across the texture (for tiling)
+			let periodX = Math.max(Math.round(config.width / cellSize), 1);
+			let periodY = Math.max(Math.round(config.height / cellSize), 1);
+
+			total += sampleOctave(
+				x / config.width * periodX,
+				y / config.height * periodY,
+				periodX,
+				periodY,
+				config.seed + i * 1013
+			) * amplitude;
+
+			maxTotal += amplitude;
+			amplitude *= persistence;
+			cellSize /= 2;
+		}
+
+		return total / maxTotal;
+	};
+}
+
+// value noise in the range [0, 1], random values at each lattice point
+function valueNoise(x, y, periodX, periodY, seed) {
+	let x0 = Math.floor(x);
+	let y0 = Math.floor(y);
+	let fx = smooth(x - x0);
+	let fy = smooth(y - y0);
+
+	let corner = function(cx, cy) {
+		return hash(
+			((cx % periodX) + periodX) % periodX,
+			((cy % periodY) + periodY) % periodY,
+			seed
+		);
+	};
+
+	let top = lerp(corner(x0, y0), corner(x0 + 1, y0), fx);
+	let bottom = lerp(corner(x0, y0 + 1), corner(x0 + 1, y0 + 1), fx);
+
+	return lerp(top, bottom, fy);
+}
+
+// perlin (gradient) noise remapped to the range [0, 1]
+function perlinNoise(x, y, periodX, periodY, seed) {
+	let x0 = Math.floor(x);
+	let y0 = Math.floor(y);
+	let fx = x - x0;
+	let fy = y - y0;
+
+	// dot product of a random unit vector at a lattice point and the offset
+	let corner = function(cx, cy, dx, dy) {
+		let angle = hash(
+			((cx % periodX) + periodX) % periodX,
+			((cy % periodY) + periodY) % periodY,
+			seed
+		) * Math.PI * 2;
+
+		return Math.cos(angle) * dx + Math.sin(angle) * dy;
+	};
+
+	let top = lerp(
+		corner(x0, y0, fx, fy),
+		corner(x0 + 1, y0, fx - 1, fy),
+		smooth(fx)
+	);
+	let bottom = lerp(
+		corner(x0, y0 + 1, fx, fy - 1),
+		corner(x0 + 1, y0 + 1, fx - 1, fy - 1),
+		smooth(fx)
+	);
+
+	// 2d perlin noise lies in the range [-sqrt(0.5), sqrt(0.5)]
+	return lerp(top, bottom, smooth(fy)) * Math.SQRT1_2 + 0.5;
+}
+
+// hashes two integers and a seed into a number in the range [0, 1)
+function hash(x, y, seed) {
+	let h = Math.imul(x, 374761393) + Math.imul(y, 668265263) +
+		Math.imul(seed, 2147483647);
+	h = Math.imul(h ^ (h >>> 13), 1274126177);
+	h ^= h >>> 16;
+
+	return (h >>> 0) / 4294967296;
+}
+
+// interpolates from a to b by t
+function lerp(a, b, t) {
+	return a + (b - a) * t;
+}
+
+// eases t in the range [0, 1] so lattice cells blend smoothly
+function smooth(t) {
+	return t * t * t * (t * (t * 6 - 15) + 10);
+}
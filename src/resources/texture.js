@@ -3,6 +3,8 @@ Basic wrapper for an html image element. The main functionality of this class
 is to automatically get the pixel data array of an html image when its finished 
 loading. Textures are used to hold pixel information for sprites, walls, the 
 ceiling and floor, and skybox textures.
+Textures can also be created from pixel data that is already in memory (such 
+as textures generated at runtime), those textures are loaded immediately.
 */
 
 import { Color } from "/src/resources/color.js";
@@ -10,8 +12,13 @@ import { Color } from "/src/resources/color.js";
 class Texture {
 	/*
 	Constructor takes a config object argument, recognized attributes are:
-	path, temporaryColor, width, and height. 
-	Only required argument is config.path.
+	path, source, temporaryColor, width, and height. 
+	Only required argument is config.path, or config.source.
+	source holds the pixel data of the texture instead of loading an image from
+	a path, it can be an ImageData, a canvas (html or offscreen), an
+	ImageBitmap, or a Uint8ClampedArray of rgba values (config.width and
+	config.height are then required). ImageData and Uint8ClampedArray pixels
+	are shared with the texture, not copied.
 	*/
 	constructor(config) {
 		// check if we recieved a config object
@@ -21,11 +28,14 @@ class Texture {
 			);
 		}
 
-		// there must be a path attribute on the config object
-		if (typeof config.path !== "string") {
+		/*
+		there must be a path attribute on the config object, unless the pixel
+		data was provided
+		*/
+		if (config.source === undefined && typeof config.path !== "string") {
 			throw new Error(
 				"Texture must recieve source path of type String for " +
-				"image to load"
+				"image to load, or a source holding pixel data"
 			);
 		}
 
@@ -81,12 +91,45 @@ class Texture {
 		// set true when the image has loaded
 		this.hasLoaded = false;
 
+		// set true if the image failed to load
+		this.hasFailed = false;
+
 		/*
 		set the texture to a default transparent color if no temporary color 
 		was provided
 		*/
 		this.temporaryColor = config.temporaryColor || new Color(0, 0, 0, 0);
 
+		// pixel data in memory doesn't need to load
+		if (config.source !== undefined) {
+			let data = readPixels(config.source, this.width, this.height);
+
+			this.width = data.width;
+			this.height = data.height;
+			this.pixels = data.pixels;
+			this.hasLoaded = true;
+			this.loaded = Promise.resolve(this);
+
+			return;
+		}
+
+		/*
+		promise that resolves with the texture when the image has loaded, or
+		rejects when the image fails to load
+		*/
+		let resolveLoad;
+		let rejectLoad;
+		this.loaded = new Promise(function(resolve, reject) {
+			resolveLoad = resolve;
+			rejectLoad = reject;
+		});
+
+		/*
+		failures are also reported through hasFailed, so nobody has to handle
+		the rejection
+		*/
+		this.loaded.catch(function() {});
+
 		// the html image element we are going to load
 		this.htmlImageElement = new Image(this.width, this.height);
 
@@ -124,16 +167,173 @@ class Texture {
 
 			this.pixels = ctx.getImageData(0, 0, this.width, this.height).data;
 
+			resolveLoad(this);
 		}.bind(this));
 
-		// set up error listener
+		/*
+		set up error listener, the texture keeps using its temporary color (an
+		error thrown here couldn't be caught by anyone)
+		*/
 		this.htmlImageElement.addEventListener("error", function(event) {
-			throw new Error("Failed to load image with path " + this.path);
+			this.hasFailed = true;
+			rejectLoad(new Error("Failed to load image with path " + this.path));
 		}.bind(this));
 
 		// set the src for the image to start loading it
 		this.htmlImageElement.src = this.path;
 	}
+
+	/*
+	replaces the pixels of a loaded texture in place, source can be anything
+	config.source accepts (see the constructor) and is scaled to the size of 
+	the texture if it is a canvas or an ImageBitmap
+	*/
+	setPixels(source) {
+		if (!this.hasLoaded) {
+			throw new Error(
+				"Failed to execute Texture.setPixels: texture hasn't loaded"
+			);
+		}
+
+		let data = readPixels(source, this.width, this.height);
+
+		// nothing to copy if the texture already shares the pixel array
+		if (data.pixels !== this.pixels) {
+			this.pixels.set(data.pixels);
+		}
+	}
+
+	// sets the pixel at (x, y) of a loaded texture to a color
+	setPixel(x, y, color) {
+		if (!this.hasLoaded) {
+			throw new Error(
+				"Failed to execute Texture.setPixel: texture hasn't loaded"
+			);
+		}
+
+		// check if the coordinates are inside of the texture
+		if (!Number.isInteger(x) || x < 0 || x >= this.width ||
+			!Number.isInteger(y) || y < 0 || y >= this.height) {
+			throw new Error(
+				"Failed to execute Texture.setPixel: coordinates must be " +
+				"integers inside of the texture"
+			);
+		}
+
+		if (!(color instanceof Color)) {
+			throw new Error(
+				"Failed to execute Texture.setPixel: color must be of type " +
+				"Color"
+			);
+		}
+
+		let index = (x + y * this.width) * 4;
+		this.pixels[index] = color.red;
+		this.pixels[index + 1] = color.green;
+		this.pixels[index + 2] = color.blue;
+		this.pixels[index + 3] = color.alpha;
+	}
+}
+
+/*
+gets the rgba pixel array of a source of pixel data, along with its width and
+height. Width and height are optional unless the source is a Uint8ClampedArray,
+if they are provided the size of the source must match them (canvases and
+ImageBitmaps are scaled to fit instead)
+*/
+function readPixels(source, width, height) {
+	// a plain array of rgba values
+	if (source instanceof Uint8ClampedArray) {
+		if (width === undefined) {
+			throw new Error(
+				"Texture pixel array source requires a width and height"
+			);
+		}
+
+		checkSize(source.length, width, height);
+
+		return {
+			pixels: source,
+			width: width,
+			height: height
+		};
+	}
+
+	// ImageData (or anything shaped like it)
+	if (typeof source === "object" && source !== null &&
+		source.data instanceof Uint8ClampedArray &&
+		Number.isInteger(source.width) &&
+		Number.isInteger(source.height)) {
+		if (width !== undefined &&
+			(source.width !== width || source.height !== height)) {
+			throw new Error(
+				"Texture ImageData source must match the texture's width " +
+				"and height"
+			);
+		}
+
+		checkSize(source.data.length, source.width, source.height);
+
+		return {
+			pixels: source.data,
+			width: source.width,
+			height: source.height
+		};
+	}
+
+	// canvases and image bitmaps have to be drawn to a canvas to be read
+	if (isDrawable(source)) {
+		width = width || source.width;
+		height = height || source.height;
+
+		let tempCanvas = createCanvas(width, height);
+		let ctx = tempCanvas.getContext("2d");
+
+		ctx.drawImage(source, 0, 0, width, height);
+
+		return {
+			pixels: ctx.getImageData(0, 0, width, height).data,
+			width: width,
+			height: height
+		};
+	}
+
+	throw new Error(
+		"Texture source must be an ImageData, a canvas, an ImageBitmap or a " +
+		"Uint8ClampedArray"
+	);
+}
+
+// checks if a pixel array has the right amount of rgba values
+function checkSize(length, width, height) {
+	if (length !== width * height * 4) {
+		throw new Error(
+			"Texture source must hold width * height rgba values"
+		);
+	}
+}
+
+// checks if a source is an image the canvas api can draw
+function isDrawable(source) {
+	return (typeof HTMLCanvasElement !== "undefined" &&
+			source instanceof HTMLCanvasElement) ||
+		(typeof OffscreenCanvas !== "undefined" &&
+			source instanceof OffscreenCanvas) ||
+		(typeof ImageBitmap !== "undefined" &&
+			source instanceof ImageBitmap);
+}
+
+// creates a canvas to read pixels with, offscreen if it is supported
+function createCanvas(width, height) {
+	if (typeof OffscreenCanvas !== "undefined") {
+		return new OffscreenCanvas(width, height);
+	}
+
+	let canvas = document.createElement("canvas");
+	canvas.width = width;
+	canvas.height = height;
+
+	return canvas;
 }
 
 export { Texture };
\ No newline at end of file
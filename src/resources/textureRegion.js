@@ -0,0 +1,83 @@
+/*
+A rectangular region of a texture, such as a single frame of a sprite sheet.
+Regions share the pixel array of the texture they are cut from, so they can be
+created before the texture has finished loading.
+*/
+
+import { Texture } from "/src/resources/texture.js";
+
+class TextureRegion {
+	/*
+	Constructor takes a config object argument, recognized attributes are:
+	texture, x, y, width, and height (x, y, width and height are in pixel
+	coordinates of the texture).
+	Required arguments are config.texture, config.width and config.height.
+	*/
+	constructor(config) {
+		// check if we recieved a config object
+		if (typeof config !== "object") {
+			throw new Error(
+				"TextureRegion constructor must recieve a config object"
+			);
+		}
+
+		// check if we recieved the texture to cut the region from
+		if (!(config.texture instanceof Texture)) {
+			throw new Error(
+				"TextureRegion texture must be of type Texture"
+			);
+		}
+
+		// check if the coordinates of the region are valid
+		let coordinates = ["x", "y"];
+		for (let i = 0; i < coordinates.length; i++) {
+			let value = config[coordinates[i]];
+			if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+				throw new Error(
+					"TextureRegion " + coordinates[i] +
+					" must be a positive integer"
+				);
+			}
+		}
+
+		// check if the dimentions of the region are valid
+		let dimentions = ["width", "height"];
+		for (let i = 0; i < dimentions.length; i++) {
+			let value = config[dimentions[i]];
+			if (!Number.isInteger(value) || value <= 0) {
+				throw new Error(
+					"TextureRegion " + dimentions[i] +
+					" must be an integer greater than 0"
+				);
+			}
+		}
+
+		// the texture the region is cut from
+		this.texture = config.texture;
+
+		// the top left corner of the region (default to the origin)
+		this.x = config.x || 0;
+		this.y = config.y || 0;
+
+		// the dimentions of the region
+		this.width = config.width;
+		this.height = config.height;
+	}
+
+	// the region has loaded when its texture has loaded
+	get hasLoaded() {
+		return this.texture.hasLoaded;
+	}
+
+	// regions share the pixel array of their texture
+	get pixels() {
+		return this.texture.pixels;
+	}
+
+	// regions use the temporary color of their texture
+	get temporaryColor() {
+		return this.texture.temporaryColor;
+	}
+}
+
+export { TextureRegion };